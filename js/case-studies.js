@@ -0,0 +1,365 @@
+// case-studies.js
+// City case studies rendered by the case study engine in script.js.
+// Adding a city only needs a new entry here (no HTML to copy).
+//
+// Schema of an entry:
+// - id: section id and route ('delhi-case' -> #delhi-case)
+// - city, country: country uses the globe's country names, so clicking it on the globe opens the case
+// - globe: { lat, lon, zoom } the globe flies there before showing the section
+// - kind: 'crisis' (problem to solve) or 'success' (solutions already applied)
+// - title (section heading), routeTitle (document title), prev / next (journey order)
+// - lead, narrative[], callout: bold opening paragraph, paragraphs, bold closing paragraph
+// - pollutants[]: { id, icon, label, name, value, unit, summary, description }
+// - hotspots[]: { id, icon, label, name, lat, lon, summary, description } (name: the place)
+//   Pollutants and hotspots with a summary become info buttons (label) over the map.
+// - indicators: { title, subtitle, rows: [{ icon, label, before, after }] } before/after table
+// - investment: { before, after, totalUSD, annualUSD } last row of the table (amounts may be null)
+// - bars[]: { label, value, style: 'before' | 'after', explanation } animated bars
+//   ('before': red/orange bar, 'after': green/blue bar)
+// - image, beforeAfterImage: { src, alt } map over the info buttons / photo under the bars
+// - visual: { title, subtitle } heading of the right-hand panel
+// - callToAction: { title, text }, actions[]: { label, target } buttons to other sections
+// - metrics: { summerHighC, badAirDays, treeCoverPct } approximate figures for the city comparison
+//   (NO₂ comes from the 'no2' pollutant and the investment from investment.totalUSD)
+// - source: citation used by the exports
+
+const CASE_STUDIES = [
+    {
+        id: 'california-case',
+        city: 'Los Angeles',
+        country: 'United States of America',
+        globe: { lat: 36.78, lon: -119.42, zoom: 1.8 },
+        kind: 'crisis',
+        title: 'California Case: Urban Pollution Crisis',
+        routeTitle: 'California Case',
+        prev: 'home',
+        next: 'quiz',
+        narrative: [
+            'The map on the side uses NASA satellite data to diagnose a pollution crisis. In metropolises like Los Angeles and San Diego, heavy traffic generates large amounts of Nitrogen Dioxide (NO2).',
+            'This pollutant doesn\'t disperse easily due to geographical factors like thermal inversion. This climate phenomenon acts as a "lid" over the city, trapping NO2 and other gases.'
+        ],
+        callout: 'This is the high-risk scenario: If you were the leader, what would be your strategy to solve this public health and urban crisis?',
+        pollutants: [
+            {
+                id: 'no2',
+                icon: '🌡️',
+                label: 'Main Pollutant',
+                name: 'Nitrogen Dioxide (NO₂)',
+                value: 22,
+                unit: 'ppb',
+                summary: 'Nitrogen Dioxide (NO2) - Toxic gas',
+                description: 'This dangerous pollutant doesn\'t disperse easily due to geographical factors.'
+            }
+        ],
+        hotspots: [
+            {
+                id: 'source',
+                icon: '🚗',
+                label: 'Traffic Source',
+                name: 'Los Angeles freeways',
+                lat: 34.05,
+                lon: -118.24,
+                summary: 'Heavy vehicle traffic in metropolises',
+                description: 'Millions of cars and trucks daily contribute to the NO2 emissions in urban areas.'
+            },
+            {
+                id: 'factor',
+                icon: '🏔️',
+                label: 'Thermal Inversion',
+                name: 'Los Angeles Basin',
+                lat: 34.05,
+                lon: -118.24,
+                summary: 'Thermal inversion acts as atmospheric "lid"',
+                description: 'This climate phenomenon traps NO2 and other gases, preventing dispersion.'
+            }
+        ],
+        image: { src: 'img/california-map.png', alt: 'California Pollution Map - NASA' },
+        actions: [
+            { label: 'Advance to Quiz', target: 'quiz' }
+        ],
+        metrics: { summerHighC: 29, badAirDays: 100, treeCoverPct: 21 },
+        source: 'NASA OMI/TROPOMI NO₂; California Air Resources Board'
+    },
+    {
+        id: 'medellin-case',
+        city: 'Medellín',
+        country: 'Colombia',
+        globe: { lat: 6.24, lon: -75.58, zoom: 1.8 },
+        kind: 'success',
+        title: 'Success Case: Medellín',
+        routeTitle: 'Success Case: Medellín',
+        prev: 'california-forecast',
+        next: 'applications',
+        lead: 'Medellín, a city in a valley with pollution and heat problems, invested in creating Green Corridors — dense vegetation routes that act as NO2 filters and encourage active transportation.',
+        pollutants: [
+            { id: 'no2', icon: '🌬️', label: 'NO₂', name: 'Nitrogen Dioxide (NO₂)', value: 18, unit: 'ppb' }
+        ],
+        indicators: {
+            title: 'Medellín — Before and After',
+            subtitle: 'Urban transformation through Green Corridors',
+            rows: [
+                { icon: '🌡️', label: 'Average urban temperature', before: '32 °C', after: '↓ up to 2–3 °C' },
+                { icon: '🌿', label: 'Urban vegetation', before: 'Almost non-existent', after: '+12,500 trees and 120 thousand plants' },
+                { icon: '🌬️', label: 'Air pollution (NO₂ and PM2.5)', before: 'High — caused ~2 thousand deaths/year', after: 'Significant reduction; cleaner and fresher air' },
+                { icon: '🏙️', label: 'Biodiversity', before: 'Scarce', after: 'Return of birds, frogs and bats' }
+            ]
+        },
+        investment: {
+            before: 'No investment',
+            after: 'US$ 16.3 million + annual maintenance of US$ 625 thousand',
+            totalUSD: 16300000,
+            annualUSD: 625000
+        },
+        visual: {
+            title: 'Proven Transformation',
+            subtitle: 'Medellín - from problematic city to global model of urban innovation'
+        },
+        bars: [
+            { label: 'Respiratory Diseases', value: '-40%', style: 'before', explanation: 'Reduction in acute respiratory infections' },
+            { label: 'Urban Temperature', value: '-10°C', style: 'before', explanation: 'Surface temperature reduction' },
+            { label: 'New Cyclists', value: '+34.6%', style: 'after', explanation: 'Increase in bicycle users' }
+        ],
+        beforeAfterImage: { src: 'img/THEN-NOW.png', alt: 'Medellín Transformation - Before and After' },
+        callToAction: {
+            title: 'You can also be part of this change!',
+            text: 'Every city has the power to transform its future. See how to apply sustainable solutions where you live.'
+        },
+        actions: [
+            { label: 'Apply In My City', target: 'applications' }
+        ],
+        metrics: { summerHighC: 28, badAirDays: 40, treeCoverPct: 17 },
+        source: 'Medellín Mayor\'s Office, Green Corridors programme (2016–2019); C40 Cities case study'
+    },
+    {
+        id: 'delhi-case',
+        city: 'Delhi',
+        country: 'India',
+        globe: { lat: 28.61, lon: 77.21, zoom: 1.8 },
+        kind: 'crisis',
+        title: 'Delhi Case: Winter Smog Emergency',
+        routeTitle: 'Delhi Case',
+        prev: 'home',
+        next: 'applications',
+        narrative: [
+            'Delhi has some of the highest fine particle (PM2.5) and NO₂ levels of any megacity. Traffic, industry and construction dust pollute the air all year round.',
+            'Every winter, smoke from crop-residue burning in the neighbouring states adds to the city\'s own emissions, while cold, still air traps everything close to the ground.'
+        ],
+        callout: 'Some measures already work — buses on natural gas, emergency traffic limits — but the smog returns every year. Which long-term solutions would you add?',
+        pollutants: [
+            {
+                id: 'pm25',
+                icon: '🌫️',
+                label: 'Fine Particles',
+                name: 'PM2.5',
+                value: 98,
+                unit: 'µg/m³',
+                summary: 'PM2.5 - about 20 times the WHO guideline',
+                description: 'Particles small enough to reach the lungs and bloodstream; the annual average is close to 100 µg/m³.'
+            },
+            {
+                id: 'no2',
+                icon: '🌡️',
+                label: 'NO₂',
+                name: 'Nitrogen Dioxide (NO₂)',
+                value: 30,
+                unit: 'ppb',
+                summary: 'Nitrogen Dioxide (NO2) from traffic',
+                description: 'Highest along ring roads and at busy junctions.'
+            }
+        ],
+        hotspots: [
+            {
+                id: 'anand-vihar',
+                icon: '🚚',
+                label: 'Anand Vihar',
+                name: 'Anand Vihar',
+                lat: 28.65,
+                lon: 77.32,
+                summary: 'Bus terminal, railway station and highway interchange',
+                description: 'One of the monitoring stations that most often records "severe" air quality.'
+            },
+            {
+                id: 'crop-burning',
+                icon: '🔥',
+                label: 'Crop Burning',
+                name: 'Punjab and Haryana',
+                lat: 30.9,
+                lon: 75.85,
+                summary: 'Stubble fires in Punjab and Haryana (October–November)',
+                description: 'NASA fire detections show thousands of fires whose smoke drifts over the city.'
+            }
+        ],
+        indicators: {
+            title: 'Delhi — Measures Taken',
+            subtitle: 'Actions already in place and their effect so far',
+            rows: [
+                { icon: '🚌', label: 'Public bus fleet', before: 'Diesel buses and auto-rickshaws', after: 'Whole fleet moved to natural gas (CNG) in the early 2000s; electric buses since 2022' },
+                { icon: '🚦', label: 'Emergency traffic limits', before: 'No action on smog days', after: 'Graded Response Action Plan restricts trucks, construction and diesel generators' },
+                { icon: '🌫️', label: 'PM2.5 annual average', before: 'Above 120 µg/m³ (2016)', after: 'Around 100 µg/m³ — still far above the guideline' }
+            ]
+        },
+        investment: {
+            before: 'Short-term emergency measures',
+            after: 'National Clean Air Programme funding for city action plans',
+            totalUSD: null,
+            annualUSD: null
+        },
+        visual: {
+            title: 'Smog Season',
+            subtitle: 'Delhi on an average winter day compared with the WHO guideline'
+        },
+        bars: [
+            { label: 'PM2.5 vs WHO Guideline', value: '×20', style: 'before', explanation: 'Annual average compared with 5 µg/m³' },
+            { label: 'Days with Poor Air', value: '~200', style: 'before', explanation: 'Days per year with AQI "poor" or worse' }
+        ],
+        actions: [
+            { label: 'Apply In My City', target: 'applications' }
+        ],
+        metrics: { summerHighC: 39, badAirDays: 200, treeCoverPct: 13 },
+        source: 'Central Pollution Control Board (CPCB); NASA FIRMS fire data; WHO Global Air Quality Guidelines (2021)'
+    },
+    {
+        id: 'mexico-city-case',
+        city: 'Mexico City',
+        country: 'Mexico',
+        globe: { lat: 19.43, lon: -99.13, zoom: 1.8 },
+        kind: 'success',
+        title: 'Success Case: Mexico City',
+        routeTitle: 'Success Case: Mexico City',
+        prev: 'home',
+        next: 'applications',
+        lead: 'In the early 1990s Mexico City was called the most polluted city on the planet. Three decades of air quality programmes (ProAire) turned it into a reference for cities in a basin.',
+        narrative: [
+            'Surrounded by mountains at 2,240 m, the city traps ozone and NO₂ much like Los Angeles. Cleaner fuels, traffic restrictions and rapid bus lines cut the worst pollution peaks.'
+        ],
+        pollutants: [
+            {
+                id: 'ozone',
+                icon: '☀️',
+                label: 'Ozone',
+                name: 'Ground-level Ozone (O₃)',
+                summary: 'Formed from NO₂ and fuel vapours under strong sunlight',
+                description: 'Still the pollutant that most often triggers environmental contingencies.'
+            },
+            {
+                id: 'no2',
+                icon: '🌡️',
+                label: 'NO₂',
+                name: 'Nitrogen Dioxide (NO₂)',
+                value: 26,
+                unit: 'ppb',
+                summary: 'Nitrogen Dioxide (NO2) from 5+ million vehicles',
+                description: 'Highest along the main ring roads (Periférico and Circuito Interior).'
+            }
+        ],
+        hotspots: [
+            {
+                id: 'basin',
+                icon: '🏔️',
+                label: 'Valley of Mexico',
+                name: 'Valley of Mexico',
+                lat: 19.43,
+                lon: -99.13,
+                summary: 'A high-altitude basin closed by mountains',
+                description: 'Thermal inversions in the dry season keep pollutants over the city.'
+            }
+        ],
+        indicators: {
+            title: 'Mexico City — Before and After',
+            subtitle: 'ProAire air quality programmes since 1990',
+            rows: [
+                { icon: '⛽', label: 'Lead in the air', before: 'Leaded petrol in every car', after: 'Eliminated with unleaded fuel (1997)' },
+                { icon: '🚍', label: 'Rapid bus transit', before: 'No dedicated bus lanes', after: 'Metrobús: 7 lines and over a million trips per day' },
+                { icon: '🚲', label: 'Public bikes', before: 'None', after: 'Ecobici: hundreds of stations since 2010' },
+                { icon: '☀️', label: 'Ozone peaks', before: 'Above the limit almost every day (early 1990s)', after: 'Highest peaks reduced by more than half' }
+            ]
+        },
+        investment: {
+            before: 'No air quality plan',
+            after: 'Successive ProAire programmes funded by the city and federal government',
+            totalUSD: null,
+            annualUSD: null
+        },
+        visual: {
+            title: 'Three Decades of Change',
+            subtitle: 'Mexico City - cleaner fuels and mass transit'
+        },
+        bars: [
+            { label: 'Lead Concentration', value: '-90%+', style: 'before', explanation: 'After the switch to unleaded petrol' },
+            { label: 'Ozone Peaks', value: '-50%+', style: 'before', explanation: 'Maximum hourly ozone since the early 1990s' },
+            { label: 'Bus Rapid Transit', value: '+1M trips/day', style: 'after', explanation: 'Daily Metrobús trips' }
+        ],
+        actions: [
+            { label: 'Apply In My City', target: 'applications' }
+        ],
+        metrics: { summerHighC: 26, badAirDays: 150, treeCoverPct: 15 },
+        source: 'SEDEMA Mexico City air quality reports (ProAire); Metrobús and Ecobici open data'
+    },
+    {
+        id: 'paris-case',
+        city: 'Paris',
+        country: 'France',
+        globe: { lat: 48.86, lon: 2.35, zoom: 1.8 },
+        kind: 'success',
+        title: 'Success Case: Paris',
+        routeTitle: 'Success Case: Paris',
+        prev: 'home',
+        next: 'applications',
+        lead: 'Paris took space from cars and gave it to bikes, pedestrians and trees. In ten years NO₂ concentrations fell by about 40%.',
+        narrative: [
+            'A low-emission zone bans the oldest vehicles, the Plan Vélo built hundreds of kilometres of cycle lanes, and streets such as Rue de Rivoli were closed to through traffic.'
+        ],
+        pollutants: [
+            {
+                id: 'no2',
+                icon: '🌡️',
+                label: 'NO₂',
+                name: 'Nitrogen Dioxide (NO₂)',
+                value: 19,
+                unit: 'ppb',
+                summary: 'Nitrogen Dioxide (NO2) from diesel traffic',
+                description: 'Still above the WHO guideline next to the ring road (Boulevard Périphérique).'
+            }
+        ],
+        hotspots: [
+            {
+                id: 'peripherique',
+                icon: '🛣️',
+                label: 'Périphérique',
+                name: 'Boulevard Périphérique',
+                lat: 48.83,
+                lon: 2.32,
+                summary: 'Ring road with over a million vehicles per day',
+                description: 'Residents along it are the most exposed to NO₂ in the region.'
+            }
+        ],
+        indicators: {
+            title: 'Paris — Before and After',
+            subtitle: 'Low-emission zone, Plan Vélo and urban greening',
+            rows: [
+                { icon: '🌬️', label: 'NO₂ concentration', before: 'Above the EU limit on most main roads', after: 'About 40% lower in ten years' },
+                { icon: '🚲', label: 'Cycle lanes', before: 'Fragmented network', after: 'More than 1,000 km of cycle lanes' },
+                { icon: '🌳', label: 'Urban trees', before: 'Mostly mineral squares and streets', after: '170,000 new trees planned by 2026' }
+            ]
+        },
+        investment: {
+            before: 'Car-oriented roads',
+            after: '€250 million Plan Vélo (2021–2026)',
+            totalUSD: 270000000,
+            annualUSD: null
+        },
+        visual: {
+            title: 'Streets Given Back',
+            subtitle: 'Paris - from traffic to bikes and trees'
+        },
+        bars: [
+            { label: 'NO₂ Concentration', value: '-40%', style: 'before', explanation: 'Decrease over ten years (Airparif)' },
+            { label: 'Cyclists', value: '+100%', style: 'after', explanation: 'Bike traffic roughly doubled after 2019' }
+        ],
+        actions: [
+            { label: 'Apply In My City', target: 'applications' }
+        ],
+        metrics: { summerHighC: 25, badAirDays: 20, treeCoverPct: 21 },
+        source: 'Airparif air quality assessments; City of Paris Plan Vélo'
+    }
+];
@@ -0,0 +1,263 @@
+// geo-loader.js
+// Loading and conversion of geographic data for the globe.
+// Runs as a plain script (main-thread fallback) and as a Web Worker,
+// so large datasets are fetched, parsed and merged off the main thread.
+
+// --- 1. Loading ---
+
+// Try each source in order until one succeeds
+function fetchJSONWithFallback(urls) {
+  return urls.reduce(
+    (chain, url) => chain.catch(() => fetch(url).then((r) => {
+      if (!r.ok) throw new Error('Failed to load ' + url + ': ' + r.status);
+      return r.json();
+    })),
+    Promise.reject(new Error('No JSON sources'))
+  );
+}
+
+// --- 2. TopoJSON and GeoJSON normalization ---
+
+// Decode the shared arcs of a topology (delta-encoded when quantized)
+function decodeArcs(topology) {
+  const transform = topology.transform;
+  return (topology.arcs || []).map((arc) => {
+    if (!transform) return arc.map((point) => point.slice(0, 2));
+
+    const [sx, sy] = transform.scale;
+    const [tx, ty] = transform.translate;
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * sx + tx, y * sy + ty];
+    });
+  });
+}
+
+// Convert a TopoJSON Topology to a GeoJSON FeatureCollection.
+// objectNames: names under topology.objects to convert (default: all of them)
+function topojsonToGeoJSON(topology, objectNames) {
+  const arcs = decodeArcs(topology);
+  const transform = topology.transform;
+
+  function position(point) {
+    if (!transform) return point.slice(0, 2);
+    return [
+      point[0] * transform.scale[0] + transform.translate[0],
+      point[1] * transform.scale[1] + transform.translate[1]
+    ];
+  }
+
+  // Join arcs into one line; a negative index (~i) means arc i reversed
+  function line(arcIndexes) {
+    const points = [];
+    arcIndexes.forEach((index, i) => {
+      const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+      // Consecutive arcs share their end point
+      points.push(...(i === 0 ? arc : arc.slice(1)));
+    });
+    return points;
+  }
+
+  function geometry(object) {
+    switch (object.type) {
+      case 'Point':
+        return { type: 'Point', coordinates: position(object.coordinates) };
+      case 'MultiPoint':
+        return { type: 'MultiPoint', coordinates: object.coordinates.map(position) };
+      case 'LineString':
+        return { type: 'LineString', coordinates: line(object.arcs) };
+      case 'MultiLineString':
+        return { type: 'MultiLineString', coordinates: object.arcs.map(line) };
+      case 'Polygon':
+        return { type: 'Polygon', coordinates: object.arcs.map(line) };
+      case 'MultiPolygon':
+        return { type: 'MultiPolygon', coordinates: object.arcs.map((rings) => rings.map(line)) };
+      case 'GeometryCollection':
+        return { type: 'GeometryCollection', geometries: object.geometries.map(geometry) };
+      default:
+        return null;
+    }
+  }
+
+  function toFeature(object) {
+    const feature = { type: 'Feature', properties: object.properties || {}, geometry: geometry(object) };
+    if (object.id !== undefined) feature.id = object.id;
+    return feature;
+  }
+
+  const names = objectNames || Object.keys(topology.objects || {});
+  const features = [];
+  names.forEach((name) => {
+    const object = topology.objects[name];
+    if (!object) return;
+    // A top-level collection is a layer of features, not a single geometry
+    if (object.type === 'GeometryCollection') {
+      features.push(...object.geometries.map(toFeature));
+    } else {
+      features.push(toFeature(object));
+    }
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+// Accept a Topology, FeatureCollection, Feature or bare geometry
+function normalizeGeoJSON(data, options = {}) {
+  if (!data) return { type: 'FeatureCollection', features: [] };
+  if (data.type === 'Topology') return topojsonToGeoJSON(data, options.objects);
+  if (data.type === 'FeatureCollection') return data;
+  if (data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+}
+
+// --- 3. Geometry helpers ---
+
+// Same formula as latLonToVector3 in script.js, written into a flat array
+function pushLatLon(lat, lon, radius, out) {
+  const phi = (90 - lat) * (Math.PI / 180);
+  const theta = (lon + 180) * (Math.PI / 180);
+
+  out.push(
+    -radius * Math.sin(phi) * Math.cos(theta),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.sin(theta)
+  );
+}
+
+// Add a line as segment pairs (a-b, b-c, ...); rings are closed if needed
+function pushLineSegments(coords, radius, closed, out) {
+  if (coords.length < 2) return;
+
+  for (let i = 0; i < coords.length - 1; i++) {
+    pushLatLon(coords[i][1], coords[i][0], radius, out);
+    pushLatLon(coords[i + 1][1], coords[i + 1][0], radius, out);
+  }
+
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  if (closed && (first[0] !== last[0] || first[1] !== last[1])) {
+    pushLatLon(last[1], last[0], radius, out);
+    pushLatLon(first[1], first[0], radius, out);
+  }
+}
+
+// Split any geometry (including nested GeometryCollections) into
+// polygons, lines and points
+function collectGeometry(geometry, parts = { polygons: [], lines: [], points: [] }) {
+  if (!geometry) return parts;
+
+  switch (geometry.type) {
+    case 'Polygon':
+      parts.polygons.push(geometry.coordinates);
+      break;
+    case 'MultiPolygon':
+      parts.polygons.push(...geometry.coordinates);
+      break;
+    case 'LineString':
+      parts.lines.push(geometry.coordinates);
+      break;
+    case 'MultiLineString':
+      parts.lines.push(...geometry.coordinates);
+      break;
+    case 'Point':
+      parts.points.push(geometry.coordinates);
+      break;
+    case 'MultiPoint':
+      parts.points.push(...geometry.coordinates);
+      break;
+    case 'GeometryCollection':
+      (geometry.geometries || []).forEach((child) => collectGeometry(child, parts));
+      break;
+    default:
+      break;
+  }
+  return parts;
+}
+
+function computeBBox(polygons) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach((poly) => {
+    poly[0].forEach(([lon, lat]) => {
+      bbox[0] = Math.min(bbox[0], lon);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lon);
+      bbox[3] = Math.max(bbox[3], lat);
+    });
+  });
+  return bbox;
+}
+
+// --- 4. Merged layers ---
+
+// Build a GeoJSON or TopoJSON dataset into flat buffers for the globe:
+// - positions: every polygon outline, for one THREE.LineSegments
+// - routePositions: every LineString, for a second THREE.LineSegments
+// - points: Point/MultiPoint positions with their feature properties
+// Each feature keeps the range of vertices it owns (start, count and
+// routeStart, routeCount) so it can be highlighted on its own.
+// options.pickable: keep polygons and bbox for point-in-polygon picking
+// options.objects: TopoJSON object names to convert (default: all)
+function buildGeoLayer(data, radius, options = {}) {
+  const geojson = normalizeGeoJSON(data, options);
+  const positions = [];
+  const routePositions = [];
+  const points = [];
+  const features = [];
+
+  geojson.features.forEach((feature) => {
+    const parts = collectGeometry(feature.geometry);
+    const properties = feature.properties || {};
+    const id = feature.id !== undefined ? feature.id : null;
+    const name = properties.name || feature.id || 'Unknown';
+
+    parts.points.forEach(([lon, lat]) => points.push({ id, name, lat, lon, properties }));
+    if (parts.polygons.length === 0 && parts.lines.length === 0) return;
+
+    const start = positions.length / 3;
+    parts.polygons.forEach((poly) => poly.forEach((ring) => pushLineSegments(ring, radius, true, positions)));
+
+    const routeStart = routePositions.length / 3;
+    parts.lines.forEach((line) => pushLineSegments(line, radius, false, routePositions));
+
+    const pickable = options.pickable && parts.polygons.length > 0;
+    features.push({
+      id,
+      name,
+      properties,
+      start,
+      count: positions.length / 3 - start,
+      routeStart,
+      routeCount: routePositions.length / 3 - routeStart,
+      polygons: pickable ? parts.polygons : null,
+      bbox: pickable ? computeBBox(parts.polygons) : null
+    });
+  });
+
+  return {
+    positions: new Float32Array(positions),
+    routePositions: new Float32Array(routePositions),
+    points,
+    features
+  };
+}
+
+// --- 5. Worker entry point ---
+
+// message: { id, sources, radius, options } -> { id, positions, routePositions, points, features } or { id, error }
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = (e) => {
+    const { id, sources, radius, options } = e.data;
+
+    fetchJSONWithFallback(sources)
+      .then((data) => {
+        const result = buildGeoLayer(data, radius, options);
+        self.postMessage({ id, ...result }, [result.positions.buffer, result.routePositions.buffer]);
+      })
+      .catch((err) => {
+        self.postMessage({ id, error: err.message });
+      });
+  };
+}
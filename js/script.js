@@ -3,11 +3,39 @@
 
 // --- 1. GLOBE Logic (Three.js) ---
 
-(() => {
+// Create the globe inside #globe-container and expose it as window.globe.
+// Calling it again disposes the previous globe first.
+function initGlobe() {
+  if (window.globe) window.globe.dispose();
+
   // Basic THREE.js configuration
   const container = document.getElementById('globe-container');
   // Check if container exists before proceeding
-  if (!container) return; 
+  if (!container) return null; 
+
+  // Visible message inside the globe when assets cannot be loaded
+  function showGlobeStatus(message) {
+    let status = container.querySelector('.globe-status');
+    if (!status) {
+      status = document.createElement('div');
+      status.className = 'globe-status';
+      container.appendChild(status);
+    }
+    status.innerHTML = message;
+  }
+
+  // Without three.js (local copy and CDN both failed) there is no globe at all
+  if (typeof THREE === 'undefined') {
+    showGlobeStatus('🛰️ <strong>Globe unavailable offline</strong><br><small>The 3D library could not be loaded.</small>');
+    return null;
+  }
+
+  // Set once dispose() runs: late async loads must not touch the old scene
+  let disposed = false;
+
+  // Window/document listeners, removed together on dispose
+  const listeners = new AbortController();
+  const { signal } = listeners;
     
   const width = container.clientWidth;
   const height = container.clientHeight;
@@ -23,25 +51,53 @@
   container.innerHTML = ''; 
   container.appendChild(renderer.domElement);
 
-  // Lights
-  const hemiLight = new THREE.AmbientLight(0xffffff, 0.6);
+  // Lights: low ambient so the night side stays dark, sun as directional light
+  const hemiLight = new THREE.AmbientLight(0xffffff, 0.25);
   scene.add(hemiLight);
 
-  const dirLight = new THREE.DirectionalLight(0xffffff, 0.6);
+  const dirLight = new THREE.DirectionalLight(0xffffff, 1.0);
   dirLight.position.set(5, 3, 5);
   scene.add(dirLight);
 
-  // Textures and Meshes (Earth, Clouds)
+  // Asset sources: bundled local copies first, remote URLs as fallback
+  const EARTH_TEXTURE_SOURCES = [
+    'img/earth-blue-marble.jpg',
+    'https://threejs.org/examples/textures/land_ocean_ice_cloud_2048.jpg'
+  ];
+  const NIGHT_TEXTURE_SOURCES = [
+    'img/earth-night.jpg',
+    'https://threejs.org/examples/textures/planets/earth_lights_2048.png'
+  ];
+  const CLOUDS_TEXTURE_SOURCES = [
+    'img/earth-clouds.png',
+    'https://threejs.org/examples/textures/earth_clouds_1024.png'
+  ];
+  const GEOJSON_SOURCES = [
+    'data/countries.geo.json',
+    'https://raw.githubusercontent.com/johan/world.geo.json/master/countries.geo.json'
+  ];
+  // Finer admin-1 borders (US states), drawn over the country outlines
+  const ADMIN1_SOURCES = ['data/us-states.geo.json'];
+
+  // Loaders with fallback chain: try each source in order until one succeeds
   const textureLoader = new THREE.TextureLoader();
 
-  const EARTH_RADIUS = 200;
+  function loadTextureWithFallback(urls) {
+    return urls.reduce(
+      (chain, url) => chain.catch(() => new Promise((resolve, reject) => {
+        textureLoader.load(url, resolve, undefined, () => reject(new Error('Failed to load texture: ' + url)));
+      })),
+      Promise.reject(new Error('No texture sources'))
+    );
+  }
 
-  const earthTextureURL = 'https://threejs.org/examples/textures/land_ocean_ice_cloud_2048.jpg';
-  const cloudsTextureURL = 'https://threejs.org/examples/textures/earth_clouds_1024.png';
+  // Textures and Meshes (Earth, Clouds)
+  const EARTH_RADIUS = 200;
 
+  // Plain ocean color until (or unless) the texture loads
   const earthGeometry = new THREE.SphereGeometry(EARTH_RADIUS, 64, 64);
   const earthMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load(earthTextureURL),
+    color: 0x1d4e89,
     shininess: 5
   });
   const earthMesh = new THREE.Mesh(earthGeometry, earthMaterial);
@@ -49,14 +105,95 @@
 
   const cloudGeometry = new THREE.SphereGeometry(EARTH_RADIUS + 1.5, 64, 64);
   const cloudMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load(cloudsTextureURL),
     transparent: true,
     opacity: 0.6,
     depthWrite: false
   });
   const cloudMesh = new THREE.Mesh(cloudGeometry, cloudMaterial);
+  // Hidden until the clouds texture is available
+  cloudMesh.visible = false;
   scene.add(cloudMesh);
 
+  // Night side: city lights blended in along the day/night terminator
+  const nightMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      nightMap: { value: null },
+      sunDirection: { value: new THREE.Vector3(1, 0, 0) }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      varying vec3 vNormal;
+      void main() {
+        vUv = uv;
+        vNormal = normalize(mat3(modelMatrix) * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D nightMap;
+      uniform vec3 sunDirection;
+      varying vec2 vUv;
+      varying vec3 vNormal;
+      void main() {
+        // 1 on the night side, 0 on the day side, soft across the terminator
+        float night = smoothstep(0.05, -0.15, dot(normalize(vNormal), sunDirection));
+        vec3 lights = texture2D(nightMap, vUv).rgb;
+        gl_FragColor = vec4(lights * night, night);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  });
+  const nightMesh = new THREE.Mesh(new THREE.SphereGeometry(EARTH_RADIUS + 0.2, 64, 64), nightMaterial);
+  // Hidden until the night texture is available
+  nightMesh.visible = false;
+  scene.add(nightMesh);
+
+  loadTextureWithFallback(NIGHT_TEXTURE_SOURCES)
+    .then((texture) => {
+      if (disposed) return texture.dispose();
+      nightMaterial.uniforms.nightMap.value = texture;
+      nightMesh.visible = true;
+    })
+    .catch((err) => {
+      console.warn('Could not load night lights texture:', err);
+    });
+
+  // Track which assets failed, to report a degraded globe
+  const assetStatus = { texture: 'loading', borders: 'loading' };
+
+  function updateDegradedState() {
+    if (assetStatus.texture === 'failed' && assetStatus.borders === 'failed') {
+      showGlobeStatus('🛰️ <strong>Offline mode</strong><br><small>Map textures and country borders could not be loaded.</small>');
+    }
+  }
+
+  loadTextureWithFallback(EARTH_TEXTURE_SOURCES)
+    .then((texture) => {
+      if (disposed) return texture.dispose();
+      earthMaterial.map = texture;
+      earthMaterial.color.set(0xffffff);
+      earthMaterial.needsUpdate = true;
+      assetStatus.texture = 'loaded';
+    })
+    .catch((err) => {
+      console.warn('Could not load earth texture:', err);
+      assetStatus.texture = 'failed';
+      updateDegradedState();
+    });
+
+  loadTextureWithFallback(CLOUDS_TEXTURE_SOURCES)
+    .then((texture) => {
+      if (disposed) return texture.dispose();
+      cloudMaterial.map = texture;
+      cloudMaterial.needsUpdate = true;
+      cloudMesh.visible = true;
+    })
+    .catch((err) => {
+      console.warn('Could not load clouds texture:', err);
+    });
+
   // Group for Lines (borders)
   const bordersGroup = new THREE.Group();
   scene.add(bordersGroup);
@@ -73,56 +210,397 @@
     return new THREE.Vector3(x, y, z);
   }
 
-  // Draw borders
-  function drawCountryLine(coords, material, radius) {
-    if (!Array.isArray(coords) || coords.length === 0) return;
+  // Border material
+  const borderMaterial = new THREE.LineBasicMaterial({
+    color: 0x99d0ff,
+    linewidth: 1,
+    transparent: true,
+    opacity: 0.9
+  });
+
+  // Materials for hovered and selected countries
+  const hoverBorderMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 1 });
+  const selectedBorderMaterial = new THREE.LineBasicMaterial({ color: 0xff9500, linewidth: 1 });
+
+  // Loaded countries, kept for picking: { id, name, properties, start, count, polygons, bbox, positions }
+  const countryEntries = [];
+
+  // --- Geo layers: GeoJSON/TopoJSON datasets merged into a few draw calls ---
+  // Polygons become outlines (one LineSegments), LineStrings become routes
+  // (a second LineSegments) and Points become markers in a data layer.
+
+  // Geo layers by id: { group, positions, features, pointsLayerId }
+  const geoLayers = new Map();
+
+  // Worker that fetches and merges border datasets off the main thread
+  let geoWorker = null;
+  let geoWorkerUnavailable = typeof Worker === 'undefined';
+  let geoRequestId = 0;
+  const geoRequests = new Map();
+
+  function getGeoWorker() {
+    if (geoWorker || geoWorkerUnavailable) return geoWorker;
+
+    try {
+      geoWorker = new Worker('js/geo-loader.js');
+    } catch (err) {
+      // e.g. pages opened from file:// cannot start workers
+      geoWorkerUnavailable = true;
+      return null;
+    }
+
+    geoWorker.onmessage = (e) => {
+      const request = geoRequests.get(e.data.id);
+      if (!request) return;
+      geoRequests.delete(e.data.id);
 
-    const rings = (typeof coords[0][0] === 'number') ? [coords] : coords;
+      if (e.data.error) {
+        request.reject(new Error(e.data.error));
+      } else {
+        request.resolve(e.data);
+      }
+    };
 
-    rings.forEach((ring) => {
-      const points = [];
-      ring.forEach(([lon, lat]) => {
-        points.push(latLonToVector3(lat, lon, radius + 0.5)); 
+    // The worker script itself failed: stop using it and let pending requests fall back
+    geoWorker.onerror = () => {
+      geoWorker.terminate();
+      geoWorker = null;
+      geoWorkerUnavailable = true;
+      geoRequests.forEach((request) => {
+        const err = new Error('Border worker unavailable');
+        err.workerUnavailable = true;
+        request.reject(err);
       });
+      geoRequests.clear();
+    };
+
+    return geoWorker;
+  }
+
+  // Resolves with { positions, routePositions, points, features } built by buildGeoLayer (geo-loader.js)
+  function buildGeoData(sources, radius, options) {
+    const buildOnMainThread = () => fetchJSONWithFallback(sources)
+      .then((data) => buildGeoLayer(data, radius, options));
 
-      const geometry = new THREE.BufferGeometry().setFromPoints(points);
-      const line = new THREE.LineLoop(geometry, material);
-      bordersGroup.add(line);
+    const worker = getGeoWorker();
+    if (!worker) return buildOnMainThread();
+
+    return new Promise((resolve, reject) => {
+      const id = ++geoRequestId;
+      geoRequests.set(id, { resolve, reject });
+      // Worker URLs resolve relative to the worker script, so send absolute ones
+      const absoluteSources = sources.map((src) => new URL(src, document.baseURI).href);
+      worker.postMessage({ id, sources: absoluteSources, radius, options });
+    }).catch((err) => {
+      if (!err.workerUnavailable) throw err;
+      return buildOnMainThread();
     });
   }
 
-  // GeoJSON URL
-  const GEOJSON_URL = 'https://raw.githubusercontent.com/johan/world.geo.json/master/countries.geo.json';
+  function createLineSegments(positions, material) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return new THREE.LineSegments(geometry, material);
+  }
 
-  // Border material
-  const borderMaterial = new THREE.LineBasicMaterial({
-    color: 0x99d0ff,
-    linewidth: 1,
-    transparent: true,
-    opacity: 0.9
-  });
+  // Public: load a GeoJSON or TopoJSON dataset as one geo layer.
+  // Feature properties are kept and available through getGeoLayerFeatures.
+  // options: { color, opacity, routeColor, pickable, objects (TopoJSON object names) }
+  function addGeoLayer(id, sources, options = {}) {
+    const layerOptions = {
+      color: 0x99d0ff,
+      opacity: 0.9,
+      routeColor: 0x34c759,
+      pickable: false,
+      ...options
+    };
 
-  // Fetch and Draw GeoJSON
-  fetch(GEOJSON_URL)
-    .then((r) => {
-      if (!r.ok) throw new Error('Failed to load GeoJSON: ' + r.status);
-      return r.json();
-    })
-    .then((geojson) => {
-      geojson.features.forEach((feature) => {
-        const geom = feature.geometry;
-        if (!geom) return;
-
-        if (geom.type === 'Polygon') {
-          drawCountryLine(geom.coordinates, borderMaterial, EARTH_RADIUS);
-        } else if (geom.type === 'MultiPolygon') {
-          geom.coordinates.forEach((poly) => drawCountryLine(poly, borderMaterial, EARTH_RADIUS));
+    return buildGeoData(sources, EARTH_RADIUS + 0.5, { pickable: layerOptions.pickable, objects: layerOptions.objects })
+      .then(({ positions, routePositions, points, features }) => {
+        if (disposed) return null;
+        removeGeoLayer(id);
+
+        const group = new THREE.Group();
+        group.name = id;
+
+        if (positions.length > 0) {
+          const material = id === 'countries'
+            ? borderMaterial
+            : new THREE.LineBasicMaterial({
+              color: layerOptions.color,
+              linewidth: 1,
+              transparent: true,
+              opacity: layerOptions.opacity
+            });
+          group.add(createLineSegments(positions, material));
+        }
+
+        if (routePositions.length > 0) {
+          const routes = createLineSegments(routePositions, new THREE.LineBasicMaterial({
+            color: layerOptions.routeColor,
+            linewidth: 1
+          }));
+          // Routes sit just above the outlines
+          routes.scale.setScalar(1.001);
+          group.add(routes);
+        }
+
+        bordersGroup.add(group);
+
+        // Points reuse the data-layer markers (and their picking and tooltips)
+        let pointsLayerId = null;
+        if (points.length > 0) {
+          pointsLayerId = id + '-points';
+          addDataLayer(pointsLayerId, points.map((point) => ({
+            ...point,
+            value: Number.isFinite(point.properties.value) ? point.properties.value : 1
+          })), { type: 'marker', size: 2, label: layerOptions.label || id });
         }
+
+        geoLayers.set(id, { group, positions, features, pointsLayerId });
+
+        if (layerOptions.pickable) {
+          features
+            .filter((feature) => feature.polygons)
+            .forEach((feature) => countryEntries.push({ ...feature, positions }));
+        }
+        return group;
       });
+  }
+
+  function removeGeoLayer(id) {
+    const layer = geoLayers.get(id);
+    if (!layer) return;
+
+    // Drop picking entries that belonged to this layer
+    const { positions } = layer;
+    if (hoveredEntry && hoveredEntry.positions === positions) setHoveredEntry(null);
+    if (selectedEntry && selectedEntry.positions === positions) setSelectedEntry(null);
+    for (let i = countryEntries.length - 1; i >= 0; i--) {
+      if (countryEntries[i].positions === positions) countryEntries.splice(i, 1);
+    }
+
+    layer.group.children.forEach((lines) => {
+      lines.geometry.dispose();
+      if (lines.material !== borderMaterial) lines.material.dispose();
+    });
+    bordersGroup.remove(layer.group);
+    if (layer.pointsLayerId) removeDataLayer(layer.pointsLayerId);
+    geoLayers.delete(id);
+  }
+
+  // Public: features of a geo layer with their original properties
+  function getGeoLayerFeatures(id) {
+    const layer = geoLayers.get(id);
+    return layer ? layer.features.map(({ id: featureId, name, properties }) => ({ id: featureId, name, properties })) : [];
+  }
+
+  // Fetch and Draw GeoJSON
+  addGeoLayer('countries', GEOJSON_SOURCES, { pickable: true })
+    .then(() => {
+      assetStatus.borders = 'loaded';
     })
     .catch((err) => {
       console.warn('Could not load or draw country borders:', err);
+      assetStatus.borders = 'failed';
+      updateDegradedState();
+    });
+
+  addGeoLayer('admin-1', ADMIN1_SOURCES, { color: 0x99d0ff, opacity: 0.35 })
+    .catch((err) => {
+      console.warn('Could not load admin-1 borders:', err);
+    });
+
+  // --- Data Layers (markers, bars and heat spots from {lat, lon, value} records) ---
+
+  // Group for data layers, synchronized with earthMesh like bordersGroup
+  const dataLayersGroup = new THREE.Group();
+  scene.add(dataLayersGroup);
+
+  // Active layers by id: { group, records, options }
+  const dataLayers = new Map();
+
+  // Color ramp using the site palette: green (low) -> orange -> red (high)
+  const LOW_COLOR = new THREE.Color(0x34c759);
+  const MID_COLOR = new THREE.Color(0xff9500);
+  const HIGH_COLOR = new THREE.Color(0xff3b30);
+
+  function valueToColor(t) {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    if (clamped < 0.5) return LOW_COLOR.clone().lerp(MID_COLOR, clamped * 2);
+    return MID_COLOR.clone().lerp(HIGH_COLOR, (clamped - 0.5) * 2);
+  }
+
+  // Shared radial gradient used by every heat spot
+  let heatTexture = null;
+  function getHeatTexture() {
+    if (heatTexture) return heatTexture;
+
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.5)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+
+    heatTexture = new THREE.CanvasTexture(canvas);
+    return heatTexture;
+  }
+
+  const UP = new THREE.Vector3(0, 1, 0);
+  const FORWARD = new THREE.Vector3(0, 0, 1);
+
+  // Normalized value (0 to 1) of a record within the layer range
+  function normalizeValue(value, options) {
+    const range = (options.max - options.min) || 1;
+    return Math.min(Math.max((value - options.min) / range, 0), 1);
+  }
+
+  // Records above the threshold are always drawn in the alert color
+  function getDataColor(value, t, options) {
+    if (options.threshold !== null && value >= options.threshold) return HIGH_COLOR;
+    return valueToColor(t);
+  }
+
+  // Size, position and color of an object for its record's current value
+  function applyDataValue(object, options) {
+    const { record, normal } = object.userData;
+    const t = normalizeValue(record.value, options);
+
+    if (options.type === 'bar') {
+      // Height proportional to value, standing on the surface
+      const barHeight = 2 + t * options.maxHeight;
+      object.scale.set(1, barHeight, 1);
+      object.position.copy(normal).multiplyScalar(EARTH_RADIUS + barHeight / 2);
+    } else if (options.type === 'heat') {
+      // Radius proportional to value
+      object.scale.setScalar(2 + t * 4);
+    } else {
+      object.scale.setScalar(0.8 + t * 0.8);
+    }
+
+    object.material.color.copy(getDataColor(record.value, t, options));
+  }
+
+  // Build one object for a record. Geometries have unit size and are scaled by applyDataValue.
+  function createDataObject(record, options) {
+    const normal = latLonToVector3(record.lat, record.lon, 1).normalize();
+    let object;
+
+    if (options.type === 'bar') {
+      // Extruded bar standing on the surface
+      const geometry = new THREE.CylinderGeometry(options.size, options.size, 1, 8);
+      const material = new THREE.MeshPhongMaterial({ transparent: true, opacity: 0.9 });
+      object = new THREE.Mesh(geometry, material);
+      object.quaternion.setFromUnitVectors(UP, normal);
+    } else if (options.type === 'heat') {
+      // Soft disc lying on the surface
+      const geometry = new THREE.CircleGeometry(options.size, 32);
+      const material = new THREE.MeshBasicMaterial({
+        map: getHeatTexture(),
+        transparent: true,
+        opacity: 0.85,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      });
+      object = new THREE.Mesh(geometry, material);
+      object.position.copy(normal).multiplyScalar(EARTH_RADIUS + 1);
+      object.quaternion.setFromUnitVectors(FORWARD, normal);
+    } else {
+      // Default: marker sphere slightly above the surface
+      const geometry = new THREE.SphereGeometry(options.size, 12, 12);
+      const material = new THREE.MeshBasicMaterial();
+      object = new THREE.Mesh(geometry, material);
+      object.position.copy(normal).multiplyScalar(EARTH_RADIUS + 2);
+    }
+
+    object.userData.record = record;
+    object.userData.normal = normal;
+    // Heat spots are decorative and too large to be picked precisely
+    object.userData.pickable = options.type !== 'heat';
+    applyDataValue(object, options);
+    return object;
+  }
+
+  function disposeLayerGroup(group) {
+    group.children.forEach((child) => {
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    dataLayersGroup.remove(group);
+  }
+
+  // Public: add (or replace) a data layer
+  // records: [{ lat, lon, value, ... }]
+  // options: { type: 'marker' | 'bar' | 'heat', size, maxHeight, min, max, threshold, label, unit }
+  function addDataLayer(id, records, options = {}) {
+    removeDataLayer(id);
+
+    // Own copies, so later value updates do not touch the caller's data
+    const valid = (records || [])
+      .filter((r) => Number.isFinite(r.lat) && Number.isFinite(r.lon) && Number.isFinite(r.value))
+      .map((r) => ({ ...r }));
+    const values = valid.map((r) => r.value);
+    const layerOptions = {
+      type: 'marker',
+      size: 3,
+      maxHeight: 60,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      threshold: null,
+      label: id,
+      unit: '',
+      ...options
+    };
+
+    const group = new THREE.Group();
+    group.name = id;
+
+    valid.forEach((record) => {
+      group.add(createDataObject(record, layerOptions));
+    });
+
+    dataLayersGroup.add(group);
+    dataLayers.set(id, { group, records: valid, options: layerOptions });
+    return group;
+  }
+
+  // Public: remove a data layer and free its GPU resources
+  function removeDataLayer(id) {
+    const layer = dataLayers.get(id);
+    if (!layer) return;
+    disposeLayerGroup(layer.group);
+    dataLayers.delete(id);
+  }
+
+  // Public: update the values of an existing layer in place (e.g. one time-series frame).
+  // values: { [record name]: value }; range: optional { min, max } for the color/size scale
+  function setDataLayerValues(id, values, range = {}) {
+    const layer = dataLayers.get(id);
+    if (!layer) return;
+
+    Object.assign(layer.options, range);
+    layer.group.children.forEach((object) => {
+      const value = values[object.userData.record.name];
+      if (!Number.isFinite(value)) return;
+      object.userData.record.value = value;
+      applyDataValue(object, layer.options);
     });
+  }
+
+  function clearDataLayers() {
+    Array.from(dataLayers.keys()).forEach(removeDataLayer);
+  }
+
+  function setDataLayerVisible(id, visible) {
+    const layer = dataLayers.get(id);
+    if (layer) layer.group.visible = visible;
+  }
 
   // Responsiveness: adjust on resize
   function onWindowResize() {
@@ -132,206 +610,1471 @@
     camera.updateProjectionMatrix();
     renderer.setSize(w, h);
   }
-  window.addEventListener('resize', onWindowResize);
+  window.addEventListener('resize', onWindowResize, { signal });
+
+  // --- Controls: drag with inertia, wheel/pinch zoom, keyboard and auto-rotation ---
+
+  const CONTROLS = {
+    rotationSpeed: 0.005,     // radians per dragged pixel
+    keyRotationStep: 0.08,    // radians per arrow key press
+    damping: 0.92,            // velocity kept per frame (at 60fps) after release
+    maxTilt: Math.PI / 3,     // latitude clamp for the x rotation
+    minDistance: 320,         // closest camera distance (zoom in)
+    maxDistance: 900,         // farthest camera distance (zoom out)
+    zoomSpeed: 0.5,
+    autoRotateSpeed: 0.08,    // radians per second
+    idleDelay: 4000           // ms without input before auto-rotation resumes
+  };
+
+  // Target orientation of the globe; meshes and groups follow it every frame
+  const orientation = { x: 0, y: 0 };
+  const velocity = { x: 0, y: 0 };
+  let cloudDrift = 0;
+  let lastInteraction = -Infinity;
+
+  // Pointer state (mouse drag, touch drag and pinch)
+  const activePointers = new Map();
+  let isDragging = false;
+  let previousMousePosition = { x: 0, y: 0 };
+  let previousPinchDistance = 0;
+  let lastMoveTime = 0;
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  function markInteraction() {
+    lastInteraction = performance.now();
+  }
+
+  // User input takes over from any running flight
+  function onUserInput() {
+    cancelFlight();
+    markInteraction();
+  }
+
+  function rotateBy(dx, dy) {
+    orientation.y += dx;
+    orientation.x = clamp(orientation.x + dy, -CONTROLS.maxTilt, CONTROLS.maxTilt);
+  }
+
+  function zoomTo(distance) {
+    camera.position.z = clamp(distance, CONTROLS.minDistance, CONTROLS.maxDistance);
+  }
+
+  // --- Fly-to: smoothly centre a location and zoom ---
+
+  const DEFAULT_DISTANCE = 600;
+  let flight = null;
+
+  function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  }
+
+  // Stop a running flight; its promise resolves with false
+  function cancelFlight() {
+    if (!flight) return;
+    flight.resolve(false);
+    flight = null;
+  }
+
+  // Public: rotate the globe so that lat/lon faces the camera.
+  // zoom is relative to the default distance (1 = default, 2 = twice as close).
+  // Resolves with true when the flight completes, false if interrupted.
+  function flyTo(lat, lon, zoom, duration = 2000) {
+    cancelFlight();
+    velocity.x = 0;
+    velocity.y = 0;
+
+    // Inverse of latLonToVector3: y rotation brings the longitude to +Z, x tilts the latitude
+    const targetY = Math.PI / 2 - (lon + 180) * (Math.PI / 180);
+    const targetX = clamp(lat * (Math.PI / 180), -CONTROLS.maxTilt, CONTROLS.maxTilt);
+
+    // Shortest way around the globe
+    const fullTurn = Math.PI * 2;
+    let deltaY = (targetY - orientation.y) % fullTurn;
+    if (deltaY > Math.PI) deltaY -= fullTurn;
+    if (deltaY < -Math.PI) deltaY += fullTurn;
+
+    const targetDistance = zoom
+      ? clamp(DEFAULT_DISTANCE / zoom, CONTROLS.minDistance, CONTROLS.maxDistance)
+      : camera.position.z;
+
+    // Render loop paused (globe off-screen): jump straight to the location
+    if (!isRunning()) {
+      orientation.x = targetX;
+      orientation.y += deltaY;
+      camera.position.z = targetDistance;
+      syncRotation();
+      markInteraction();
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      flight = {
+        start: performance.now(),
+        duration,
+        from: { x: orientation.x, y: orientation.y, distance: camera.position.z },
+        to: { x: targetX, y: orientation.y + deltaY, distance: targetDistance },
+        resolve
+      };
+    });
+  }
+
+  function updateFlight(now) {
+    const progress = clamp((now - flight.start) / flight.duration, 0, 1);
+    const eased = easeInOutCubic(progress);
+    const { from, to } = flight;
+
+    orientation.x = from.x + (to.x - from.x) * eased;
+    orientation.y = from.y + (to.y - from.y) * eased;
+    camera.position.z = from.distance + (to.distance - from.distance) * eased;
+
+    if (progress === 1) {
+      flight.resolve(true);
+      flight = null;
+      // Stay on the location for a while before auto-rotation resumes
+      markInteraction();
+    }
+  }
+
+  // Apply orientation to the earth and synchronize all other elements
+  function syncRotation() {
+    earthMesh.rotation.set(orientation.x, orientation.y, 0);
+    cloudMesh.rotation.set(orientation.x, orientation.y + cloudDrift, 0);
+    nightMesh.rotation.copy(earthMesh.rotation);
+    bordersGroup.rotation.copy(earthMesh.rotation);
+    dataLayersGroup.rotation.copy(earthMesh.rotation);
+    updateSunLight();
+  }
+
+  // --- Sun position: real subsolar point for now or for a chosen date ---
+
+  // null follows the current time; a Date freezes the sun at that moment
+  let sunDate = null;
+  const sunDirection = new THREE.Vector3();
+
+  // Latitude/longitude where the sun is at the zenith (NOAA low-precision formulas)
+  function getSubsolarPoint(date) {
+    const rad = Math.PI / 180;
+    // Days since J2000.0
+    const d = date.getTime() / 86400000 - 10957.5;
+
+    const meanAnomaly = (357.529 + 0.98560028 * d) % 360;
+    const meanLongitude = (280.459 + 0.98564736 * d) % 360;
+    const eclipticLongitude = meanLongitude
+      + 1.915 * Math.sin(meanAnomaly * rad)
+      + 0.020 * Math.sin(2 * meanAnomaly * rad);
+    const obliquity = 23.439 - 0.00000036 * d;
+
+    const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(eclipticLongitude * rad)) / rad;
+    const rightAscension = Math.atan2(
+      Math.cos(obliquity * rad) * Math.sin(eclipticLongitude * rad),
+      Math.cos(eclipticLongitude * rad)
+    ) / rad / 15;
+
+    // Equation of time in hours, kept within [-12, 12]
+    let equationOfTime = meanLongitude / 15 - rightAscension;
+    equationOfTime -= Math.round(equationOfTime / 24) * 24;
+
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+    let lon = -15 * (utcHours - 12 + equationOfTime);
+    lon -= Math.round(lon / 360) * 360;
+
+    return { lat: declination, lon };
+  }
+
+  // Point the sun light (and the night shader) at the subsolar point, following the earth's rotation
+  function updateSunLight() {
+    const { lat, lon } = getSubsolarPoint(sunDate || new Date());
+    sunDirection.copy(latLonToVector3(lat, lon, 1)).normalize().applyEuler(earthMesh.rotation);
+    dirLight.position.copy(sunDirection).multiplyScalar(EARTH_RADIUS * 5);
+    nightMaterial.uniforms.sunDirection.value.copy(sunDirection);
+  }
+
+  // Public: show the lighting of a chosen date, or pass null to follow the current time
+  function setSunDate(date) {
+    sunDate = date ? new Date(date) : null;
+    updateSunLight();
+  }
+
+  // Date/time picker under the globe
+  const sunTimeInput = document.getElementById('globe-sun-time');
+  const sunNowButton = document.getElementById('globe-sun-now');
+
+  if (sunTimeInput) {
+    sunTimeInput.addEventListener('change', () => {
+      setSunDate(sunTimeInput.value ? new Date(sunTimeInput.value) : null);
+    }, { signal });
+  }
+  if (sunNowButton) {
+    sunNowButton.addEventListener('click', () => {
+      if (sunTimeInput) sunTimeInput.value = '';
+      setSunDate(null);
+    }, { signal });
+  }
 
-  // Animation: rotate globe automatically
+  // Animation: inertia after release, auto-rotation when idle
   let lastTime = 0;
   function animate(t) {
     const delta = (t - lastTime) / 1000 || 0;
     lastTime = t;
 
-    // Slow automatic rotation (Y axis)
-    earthMesh.rotation.y += 0.08 * delta; 
-    cloudMesh.rotation.y += 0.095 * delta;
+    if (flight) {
+      updateFlight(t);
+    } else if (!isDragging) {
+      // Damped inertia, frame-rate independent
+      const decay = Math.pow(CONTROLS.damping, delta * 60);
+      velocity.x *= decay;
+      velocity.y *= decay;
+      if (Math.abs(velocity.x) > 1e-5 || Math.abs(velocity.y) > 1e-5) {
+        rotateBy(velocity.y, velocity.x);
+      }
+
+      // Slow automatic rotation (Y axis) after a period without input
+      if (t - lastInteraction > CONTROLS.idleDelay) {
+        orientation.y += CONTROLS.autoRotateSpeed * delta;
+      }
+    }
+
+    // Clouds drift slightly faster than the earth
+    cloudDrift += 0.015 * delta;
+    syncRotation();
 
-    // Synchronize rotation of all elements on Y axis
-    bordersGroup.rotation.y = earthMesh.rotation.y; 
-    
     renderer.render(scene, camera);
-    requestAnimationFrame(animate);
+    frameId = requestAnimationFrame(animate);
   }
-  requestAnimationFrame(animate);
 
-  // Interaction: drag with mouse to rotate manually
-  let isDragging = false;
-  let previousMousePosition = { x: 0, y: 0 };
+  // --- Render loop lifecycle: only render while the globe can be seen ---
+
+  let frameId = null;
+
+  function isRunning() {
+    return frameId !== null;
+  }
+
+  function start() {
+    if (disposed || isRunning()) return;
+    // Avoid a large jump in auto-rotation after a pause
+    lastTime = performance.now();
+    frameId = requestAnimationFrame(animate);
+  }
+
+  function stop() {
+    if (!isRunning()) return;
+    cancelAnimationFrame(frameId);
+    frameId = null;
+    // A flight only moves with the render loop: land it now instead of leaving it frozen
+    if (flight) {
+      updateFlight(flight.start + flight.duration);
+      syncRotation();
+    }
+  }
+
+  // The globe is visible when its section is active and the tab is shown
+  const hostSection = container.closest('.section-journey');
+
+  function isVisible() {
+    const sectionActive = !hostSection || hostSection.classList.contains('active');
+    return sectionActive && document.visibilityState === 'visible';
+  }
+
+  function updateRenderLoop() {
+    if (isVisible()) {
+      start();
+    } else {
+      stop();
+    }
+  }
+
+  document.addEventListener('visibilitychange', updateRenderLoop, { signal });
+
+  const sectionObserver = new MutationObserver(updateRenderLoop);
+  if (hostSection) {
+    sectionObserver.observe(hostSection, { attributes: true, attributeFilter: ['class'] });
+  }
+
+  updateRenderLoop();
+
+  // Interaction: pointers (mouse drag, touch drag and pinch)
+  const canvas = renderer.domElement;
+  canvas.style.touchAction = 'none';
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'application');
+  canvas.setAttribute('aria-label', 'Interactive globe. Use arrow keys to rotate, plus and minus to zoom.');
+
+  function pinchDistance() {
+    const [a, b] = Array.from(activePointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    onUserInput();
+
+    if (activePointers.size === 2) {
+      // Second finger: switch from rotating to pinch zoom
+      isDragging = false;
+      previousPinchDistance = pinchDistance();
+      return;
+    }
 
-  renderer.domElement.addEventListener('pointerdown', (e) => {
     isDragging = true;
+    velocity.x = 0;
+    velocity.y = 0;
     previousMousePosition = { x: e.clientX, y: e.clientY };
   });
-  window.addEventListener('pointerup', () => {
-    isDragging = false;
-  });
+
+  function releasePointer(e) {
+    if (!activePointers.delete(e.pointerId)) return;
+    if (activePointers.size === 0) {
+      isDragging = false;
+      // No inertia if the pointer was held still before release
+      if (performance.now() - lastMoveTime > 80) {
+        velocity.x = 0;
+        velocity.y = 0;
+      }
+    } else if (activePointers.size === 1) {
+      // Back to one finger: continue rotating from its position
+      const [remaining] = activePointers.values();
+      previousMousePosition = { ...remaining };
+      isDragging = true;
+    }
+  }
+  window.addEventListener('pointerup', releasePointer, { signal });
+  window.addEventListener('pointercancel', releasePointer, { signal });
+
   window.addEventListener('pointermove', (e) => {
+    if (!activePointers.has(e.pointerId)) return;
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    onUserInput();
+
+    if (activePointers.size === 2) {
+      const distance = pinchDistance();
+      zoomTo(camera.position.z * (previousPinchDistance / distance));
+      previousPinchDistance = distance;
+      return;
+    }
+
     if (!isDragging) return;
     const deltaMove = {
       x: e.clientX - previousMousePosition.x,
       y: e.clientY - previousMousePosition.y
     };
 
-    const rotationSpeed = 0.005;
-    
-    // 1. Apply drag rotation to main mesh (earthMesh)
-    earthMesh.rotation.y += deltaMove.x * rotationSpeed;
-    earthMesh.rotation.x += deltaMove.y * rotationSpeed * 0.5;
-    
-    // 2. COPY rotation (X and Y) to other objects to Synchronize
-    cloudMesh.rotation.copy(earthMesh.rotation); 
-    bordersGroup.rotation.copy(earthMesh.rotation); 
+    // Rotate and remember the speed for inertia after release
+    velocity.x = deltaMove.x * CONTROLS.rotationSpeed;
+    velocity.y = deltaMove.y * CONTROLS.rotationSpeed * 0.5;
+    rotateBy(velocity.x, velocity.y);
+    lastMoveTime = performance.now();
 
     previousMousePosition = { x: e.clientX, y: e.clientY };
+  }, { signal });
+
+  // Wheel zoom
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    onUserInput();
+    zoomTo(camera.position.z + e.deltaY * CONTROLS.zoomSpeed);
+  }, { passive: false });
+
+  // Keyboard: arrows rotate, +/- zoom (canvas must be focused)
+  canvas.addEventListener('keydown', (e) => {
+    const step = CONTROLS.keyRotationStep;
+    const actions = {
+      ArrowLeft: () => rotateBy(-step, 0),
+      ArrowRight: () => rotateBy(step, 0),
+      ArrowUp: () => rotateBy(0, -step),
+      ArrowDown: () => rotateBy(0, step),
+      '+': () => zoomTo(camera.position.z - 40),
+      '=': () => zoomTo(camera.position.z - 40),
+      '-': () => zoomTo(camera.position.z + 40)
+    };
+    const action = actions[e.key];
+    if (!action) return;
+
+    e.preventDefault();
+    onUserInput();
+    velocity.x = 0;
+    velocity.y = 0;
+    action();
   });
-})();
 
-// --- 2. NAVIGATION and QUIZ Logic (Globally Exposed) ---
+  // --- Picking: hover and click on countries and cities (raycasting) ---
 
-// Global variable to track active section
-let currentSectionId = 'home'; 
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
 
-// NEW FUNCTION: Scroll to top
-function scrollToTop() {
-    window.scrollTo({
-        top: 0,
-        behavior: 'smooth'
-    });
-}
+  // Extra metrics attached to countries by name: { label: value }
+  const featureMetrics = new Map();
 
-// 1. Main function to show a section
-function showSection(targetId) {
-    console.log('Navigating to:', targetId);
-    
-    // 1.1 Hide current active section with transition
-    const currentSection = document.getElementById(currentSectionId);
-    if (currentSection) {
-        currentSection.classList.remove('active');
-        setTimeout(() => {
-            currentSection.style.zIndex = -1;
-        }, 800);
+  // Tooltip lives next to the globe container (the container clips its content)
+  const tooltip = document.createElement('div');
+  tooltip.className = 'globe-tooltip';
+  container.parentElement.appendChild(tooltip);
+
+  let hoveredEntry = null;
+  let selectedEntry = null;
+
+  // Convert a point on the earth surface (world space) back to lat/lon
+  function vector3ToLatLon(point) {
+    const local = earthMesh.worldToLocal(point.clone());
+    const radius = local.length();
+    const lat = 90 - Math.acos(local.y / radius) * (180 / Math.PI);
+    let lon = Math.atan2(local.z, -local.x) * (180 / Math.PI) - 180;
+    if (lon < -180) lon += 360;
+    return { lat, lon };
+  }
+
+  // Ray casting point-in-ring test on [lon, lat] coordinates
+  function pointInRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+        inside = !inside;
+      }
     }
+    return inside;
+  }
 
-    // 1.2 Show new section
-    const newSection = document.getElementById(targetId);
-    if (newSection) {
-        newSection.style.zIndex = 1;
-        setTimeout(() => {
-            newSection.classList.add('active');
-            
-            // SCROLL TO TOP - FIXED
-            setTimeout(() => {
-                scrollToTop();
-            }, 100);
-            
-        }, 50);
-        
-        currentSectionId = targetId;
+  function pointInPolygon(lon, lat, polygon) {
+    if (!pointInRing(lon, lat, polygon[0])) return false;
+    // Holes
+    return !polygon.slice(1).some((hole) => pointInRing(lon, lat, hole));
+  }
+
+  function findCountryAt(lat, lon) {
+    return countryEntries.find((entry) => {
+      const [minLon, minLat, maxLon, maxLat] = entry.bbox;
+      if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) return false;
+      return entry.polygons.some((poly) => pointInPolygon(lon, lat, poly));
+    }) || null;
+  }
+
+  // Metrics for a country: attached metrics plus every data layer record in it
+  function getCountryMetrics(name) {
+    const metrics = { ...(featureMetrics.get(name) || {}) };
+    dataLayers.forEach((layer) => {
+      if (!layer.group.visible || layer.options.type === 'heat') return;
+      layer.records
+        .filter((r) => r.country === name)
+        .forEach((r) => {
+          metrics[`${layer.options.label} · ${r.name}`] = `${r.value} ${layer.options.unit}`.trim();
+        });
+    });
+    return metrics;
+  }
+
+  function getRecordMetrics(object) {
+    const record = object.userData.record;
+    const layer = dataLayers.get(object.parent.name);
+    const metrics = { ...(featureMetrics.get(record.name) || {}) };
+    if (record.properties) {
+      // Points from geo layers: show their own feature properties
+      Object.entries(record.properties).forEach(([key, value]) => {
+        if (key !== 'name' && ['string', 'number'].includes(typeof value)) metrics[key] = value;
+      });
+    } else if (layer) {
+      metrics[layer.options.label] = `${record.value} ${layer.options.unit}`.trim();
     }
-    
-    // 1.3 Element initialization logic
-    if (targetId === 'correct_metrics') {
-        initializeChart();
+    return metrics;
+  }
+
+  // Find what is under the pointer: a data layer city first, then a country
+  function pick(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+
+    const cityHit = raycaster.intersectObjects(dataLayersGroup.children, true)
+      .find((hit) => hit.object.userData.pickable && hit.object.parent.visible);
+    if (cityHit) {
+      const record = cityHit.object.userData.record;
+      return {
+        kind: 'city',
+        name: record.name,
+        country: record.country || null,
+        lat: record.lat,
+        lon: record.lon,
+        record,
+        metrics: getRecordMetrics(cityHit.object),
+        entry: countryEntries.find((entry) => entry.name === record.country) || null
+      };
     }
-    
-    // Initialize air quality chart when forecast section is shown
-    if (targetId === 'california-forecast') {
-        setTimeout(() => {
-            initializeAirQualityChart();
-        }, 500);
+
+    const earthHit = raycaster.intersectObject(earthMesh)[0];
+    if (!earthHit) return null;
+
+    const { lat, lon } = vector3ToLatLon(earthHit.point);
+    const entry = findCountryAt(lat, lon);
+    if (!entry) return null;
+
+    return {
+      kind: 'country',
+      name: entry.name,
+      country: entry.name,
+      lat,
+      lon,
+      properties: entry.properties,
+      metrics: getCountryMetrics(entry.name),
+      entry
+    };
+  }
+
+  // Highlight outline built from the entry's range in the merged border buffer
+  function createHighlight(entry, material) {
+    if (!entry) return null;
+
+    const geometry = new THREE.BufferGeometry();
+    const positions = entry.positions.slice(entry.start * 3, (entry.start + entry.count) * 3);
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const lines = new THREE.LineSegments(geometry, material);
+    // Slightly above the merged borders to avoid z-fighting
+    lines.scale.setScalar(1.002);
+    bordersGroup.add(lines);
+    return lines;
+  }
+
+  function removeHighlight(lines) {
+    if (!lines) return;
+    bordersGroup.remove(lines);
+    lines.geometry.dispose();
+  }
+
+  let hoverHighlight = null;
+  let selectedHighlight = null;
+
+  function setHoveredEntry(entry) {
+    if (entry === hoveredEntry) return;
+    removeHighlight(hoverHighlight);
+    hoveredEntry = entry;
+    hoverHighlight = entry !== selectedEntry ? createHighlight(entry, hoverBorderMaterial) : null;
+  }
+
+  function setSelectedEntry(entry) {
+    removeHighlight(selectedHighlight);
+    selectedEntry = entry;
+    selectedHighlight = createHighlight(entry, selectedBorderMaterial);
+    if (hoveredEntry === entry) {
+      removeHighlight(hoverHighlight);
+      hoverHighlight = null;
     }
-    
-    // Initialize interactive buttons when California case is shown
-    if (targetId === 'california-case') {
-        setTimeout(() => {
-            initializeInteractiveButtons();
-        }, 500);
+  }
+
+  function showTooltip(hit, clientX, clientY) {
+    const rows = Object.entries(hit.metrics)
+      .map(([label, value]) => `<div class="tooltip-row"><span>${escapeHTML(label)}</span><strong>${escapeHTML(value)}</strong></div>`)
+      .join('');
+
+    // Names and values come from the GeoJSON and data files: escape them
+    tooltip.innerHTML = `<div class="tooltip-title">${escapeHTML(hit.name)}</div>${rows}`;
+
+    const parentRect = container.parentElement.getBoundingClientRect();
+    tooltip.style.left = `${clientX - parentRect.left + 15}px`;
+    tooltip.style.top = `${clientY - parentRect.top + 15}px`;
+    tooltip.classList.add('visible');
+  }
+
+  function hideTooltip() {
+    tooltip.classList.remove('visible');
+  }
+
+  // Hover: highlight the country outline and show the tooltip
+  renderer.domElement.addEventListener('pointermove', (e) => {
+    if (isDragging) {
+      hideTooltip();
+      return;
     }
-    
-    // Restart Medellín chart animations when section is shown
-    if (targetId === 'medellin-case') {
-        setTimeout(() => {
-            restartMedellinChartAnimations();
-        }, 500);
+
+    const hit = pick(e.clientX, e.clientY);
+    setHoveredEntry(hit ? hit.entry : null);
+
+    renderer.domElement.style.cursor = hit ? 'pointer' : 'grab';
+    if (hit) {
+      showTooltip(hit, e.clientX, e.clientY);
+    } else {
+      hideTooltip();
     }
-    
-    // Initialize quiz transition when going to quiz
-    if (targetId === 'quiz') {
-        setTimeout(() => {
+  });
+
+  renderer.domElement.addEventListener('pointerleave', () => {
+    setHoveredEntry(null);
+    hideTooltip();
+  });
+
+  // Click (pointer released without dragging): select and notify the page
+  let pointerDownPosition = null;
+  renderer.domElement.addEventListener('pointerdown', (e) => {
+    pointerDownPosition = { x: e.clientX, y: e.clientY };
+  });
+  renderer.domElement.addEventListener('pointerup', (e) => {
+    if (!pointerDownPosition) return;
+    const moved = Math.hypot(e.clientX - pointerDownPosition.x, e.clientY - pointerDownPosition.y);
+    pointerDownPosition = null;
+    if (moved > 5) return;
+
+    const hit = pick(e.clientX, e.clientY);
+    setSelectedEntry(hit ? hit.entry : null);
+
+    if (!hit) return;
+
+    const { entry, ...detail } = hit;
+    document.dispatchEvent(new CustomEvent('globe:select', { detail }));
+  });
+
+  // Public: attach metrics to a country (or city) name, shown in the tooltip
+  function setFeatureMetrics(name, metrics) {
+    featureMetrics.set(name, { ...(featureMetrics.get(name) || {}), ...metrics });
+  }
+
+  // Release every GPU resource (geometries, materials, textures, renderer)
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+
+    stop();
+    cancelFlight();
+    listeners.abort();
+    sectionObserver.disconnect();
+    if (geoWorker) geoWorker.terminate();
+
+    scene.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (!object.material) return;
+
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+      });
+    });
+
+    // Materials and textures that may not be attached to any object right now
+    [borderMaterial, hoverBorderMaterial, selectedBorderMaterial].forEach((material) => material.dispose());
+    if (heatTexture) heatTexture.dispose();
+
+    renderer.dispose();
+    renderer.forceContextLoss();
+    renderer.domElement.remove();
+    tooltip.remove();
+
+    if (window.globe === api) window.globe = null;
+  }
+
+  // Public globe API
+  const api = {
+    addDataLayer,
+    removeDataLayer,
+    clearDataLayers,
+    setDataLayerVisible,
+    setDataLayerValues,
+    setFeatureMetrics,
+    setSunDate,
+    getSubsolarPoint,
+    addGeoLayer,
+    removeGeoLayer,
+    getGeoLayerFeatures,
+    flyTo,
+    cancelFlight,
+    latLonToVector3,
+    start,
+    stop,
+    isRunning,
+    dispose
+  };
+  window.globe = api;
+  return api;
+}
+
+// three.js normally comes from js/vendor/three.min.js (deferred, so it runs
+// before this script). If that copy is missing, load the same release from the
+// CDN and build the globe once it arrives.
+const THREE_CDN_URL = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
+
+function loadThree() {
+  if (typeof THREE !== 'undefined') {
+    initGlobe();
+    return;
+  }
+
+  const script = document.createElement('script');
+  script.src = THREE_CDN_URL;
+  script.async = true;
+  script.addEventListener('load', () => {
+    initGlobe();
+    // Data that arrived before the globe existed
+    if (urbanNO2Layers) showUrbanNO2Layers(...urbanNO2Layers);
+  });
+  // Shows the "Globe unavailable" status
+  script.addEventListener('error', () => initGlobe());
+  document.head.appendChild(script);
+}
+
+// Last arguments of showUrbanNO2Layers, replayed on a globe created later
+let urbanNO2Layers = null;
+
+loadThree();
+
+// Urban NO₂ levels shown on the home globe: bars plus heat spots
+// range: optional { min, max } shared by every frame of a time series
+function showUrbanNO2Layers(metadata, records, range = {}) {
+  urbanNO2Layers = [metadata, records, range];
+  if (!window.globe) return;
+
+  window.globe.addDataLayer(metadata.id, records, {
+    type: 'bar',
+    threshold: metadata.dangerThreshold,
+    label: 'NO₂',
+    unit: metadata.unit,
+    ...range
+  });
+  window.globe.addDataLayer(metadata.id + '-heat', records, { type: 'heat', ...range });
+  updateGlobeLegend(metadata, records);
+}
+
+// Legend under the globe: how many sampled cities are above the NO₂ threshold.
+// A count, not a share: the sample is not the urban-area figure of the headline.
+function updateGlobeLegend(metadata, records) {
+  const legend = document.getElementById('globe-legend');
+  if (!legend) return;
+
+  const above = records.filter((r) => r.value >= metadata.dangerThreshold).length;
+
+  legend.innerHTML = `
+    <span class="legend-ramp"></span>
+    <span class="legend-text"><strong>${above} of ${records.length}</strong> sampled cities above ${metadata.dangerThreshold} ${metadata.unit} NO₂</span>
+  `;
+}
+
+// --- 1.1 GLOBE TIMELINE: NO₂ time-series playback ---
+
+const NO2_TIMESERIES_URL = 'data/urban-no2-timeseries.json';
+// Annual snapshot shown when the time series is not available
+const URBAN_NO2_URL = 'data/urban-no2.json';
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Playback speed at 1×: months per second
+const TIMELINE_MONTHS_PER_SECOND = 6;
+
+function initializeGlobeTimeline() {
+  const timeline = document.getElementById('globe-timeline');
+  if (!timeline) return;
+
+  const playButton = document.getElementById('timeline-play');
+  const scrubber = document.getElementById('timeline-scrubber');
+  const yearLabel = document.getElementById('timeline-year');
+  const monthLabel = document.getElementById('timeline-month');
+  const speedSelect = document.getElementById('timeline-speed');
+
+  let series = null;
+  let frameCount = 0;
+  let forecastFrame = Infinity;
+  let position = 0; // fractional frame index
+  let playing = false;
+  let frameId = null;
+  let lastTime = 0;
+
+  // 'YYYY-MM' -> frame index relative to the series start
+  function monthIndex(value) {
+    const [year, month] = value.split('-').map(Number);
+    const [startYear, startMonth] = series.metadata.start.split('-').map(Number);
+    return (year - startYear) * 12 + (month - startMonth);
+  }
+
+  function frameToDate(frame) {
+    const [startYear, startMonth] = series.metadata.start.split('-').map(Number);
+    const total = startMonth - 1 + Math.floor(frame);
+    return { year: startYear + Math.floor(total / 12), month: total % 12 };
+  }
+
+  // Values per city at a fractional position, interpolated between monthly frames
+  function valuesAt(at) {
+    const i = Math.floor(at);
+    const next = Math.min(i + 1, frameCount - 1);
+    const fraction = at - i;
+    const values = {};
+    series.cities.forEach((city) => {
+      const value = city.values[i] + (city.values[next] - city.values[i]) * fraction;
+      values[city.name] = Math.round(value * 10) / 10;
+    });
+    return values;
+  }
+
+  function render() {
+    const values = valuesAt(position);
+    const { year, month } = frameToDate(position);
+
+    yearLabel.textContent = year;
+    monthLabel.textContent = MONTH_NAMES[month];
+    timeline.classList.toggle('forecast', position >= forecastFrame);
+    scrubber.value = position;
+
+    if (window.globe) {
+      window.globe.setDataLayerValues(series.metadata.id, values);
+      window.globe.setDataLayerValues(series.metadata.id + '-heat', values);
+    }
+    updateGlobeLegend(series.metadata, Object.values(values).map((value) => ({ value })));
+  }
+
+  function tick(t) {
+    // Pause together with the globe's render loop (home left or tab hidden)
+    if (window.globe && !window.globe.isRunning()) {
+      pause();
+      return;
+    }
+
+    const delta = (t - lastTime) / 1000;
+    lastTime = t;
+
+    const speed = parseFloat(speedSelect.value) || 1;
+    position += delta * TIMELINE_MONTHS_PER_SECOND * speed;
+
+    // Stop on the last frame
+    if (position >= frameCount - 1) {
+      position = frameCount - 1;
+      render();
+      pause();
+      return;
+    }
+
+    render();
+    frameId = requestAnimationFrame(tick);
+  }
+
+  function play() {
+    if (playing || !series) return;
+    // Restart from the beginning when played at the end
+    if (position >= frameCount - 1) position = 0;
+
+    playing = true;
+    playButton.textContent = '❚❚';
+    playButton.setAttribute('aria-label', 'Pause');
+    lastTime = performance.now();
+    frameId = requestAnimationFrame(tick);
+  }
+
+  function pause() {
+    playing = false;
+    playButton.textContent = '▶';
+    playButton.setAttribute('aria-label', 'Play');
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+
+  playButton.addEventListener('click', () => {
+    if (playing) {
+      pause();
+    } else {
+      play();
+    }
+  });
+
+  scrubber.addEventListener('input', () => {
+    position = parseFloat(scrubber.value);
+    render();
+  });
+
+  fetch(NO2_TIMESERIES_URL)
+    .then((r) => {
+      if (!r.ok) throw new Error('Failed to load NO2 time series: ' + r.status);
+      return r.json();
+    })
+    .then((data) => {
+      series = data;
+      frameCount = Math.min(...series.cities.map((city) => city.values.length));
+      forecastFrame = monthIndex(series.metadata.forecastFrom);
+
+      scrubber.max = frameCount - 1;
+
+      // Start on the current month ("now"), within the series
+      const now = new Date();
+      const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+      position = Math.min(Math.max(monthIndex(currentMonth), 0), frameCount - 1);
+
+      // One scale for the whole series so frames are comparable
+      const allValues = series.cities.flatMap((city) => city.values);
+      const range = { min: Math.min(...allValues), max: Math.max(...allValues) };
+      const values = valuesAt(position);
+      const records = series.cities.map(({ name, country, lat, lon }) => ({ name, country, lat, lon, value: values[name] }));
+      showUrbanNO2Layers(series.metadata, records, range);
+
+      timeline.hidden = false;
+      render();
+    })
+    .catch((err) => {
+      console.warn('Could not load NO2 time series, showing annual averages:', err);
+
+      return fetch(URBAN_NO2_URL)
+        .then((r) => {
+          if (!r.ok) throw new Error('Failed to load data layer: ' + r.status);
+          return r.json();
+        })
+        .then((dataset) => showUrbanNO2Layers(dataset.metadata, dataset.records))
+        .catch((fallbackErr) => {
+          console.warn('Could not load urban NO2 data layer:', fallbackErr);
+        });
+    });
+}
+
+// --- 2. NAVIGATION and QUIZ Logic (Globally Exposed) ---
+
+// Global variable to track active section
+let currentSectionId = 'home'; 
+
+// Section shown for unknown hashes
+const NOT_FOUND_SECTION = 'not-found';
+
+// Duration of the section fade (matches .section-journey transition in base.css)
+const SECTION_TRANSITION_MS = 800;
+
+// Route table: one entry per section.
+// - title: document title while the section is shown
+// - mount(params, signal): runs when the section is shown; params come from the hash,
+//   e.g. #solutions/sustainable-mobility -> ['sustainable-mobility'].
+//   Listeners added with { signal } are removed automatically on leave.
+// - update(params): runs when the same section is shown again with new params
+// - unmount(): runs when leaving the section
+// - prev/next: neighbouring sections of the journey
+// - globe: location the globe flies to before showing the section
+// Case study routes are added by renderCaseStudies.
+const ROUTES = {
+    'home': {
+        title: 'Smart City Data',
+        next: 'california-case'
+    },
+    'quiz': {
+        title: 'Quiz: Urban Challenge',
+        mount: (params, signal) => {
             initializeQuizTransition();
-        }, 100);
+            initializeQuiz(signal);
+        },
+        prev: 'california-case',
+        next: 'solutions'
+    },
+    'quiz-results': {
+        title: 'Quiz Results',
+        mount: renderQuizResults,
+        prev: 'quiz',
+        next: 'solutions'
+    },
+    'correct_metrics': {
+        title: 'Impact of Your Choice',
+        mount: initializeChart,
+        update: initializeChart,
+        prev: 'quiz',
+        next: 'solutions'
+    },
+    'solutions': {
+        title: 'Solutions for Resilient Cities',
+        mount: (params, signal) => {
+            initializeSolutionsNavigation(signal);
+            showSolutionFromParams(params);
+        },
+        update: showSolutionFromParams,
+        unmount: closeSolution,
+        prev: 'quiz',
+        next: 'california-forecast'
+    },
+    'california-forecast': {
+        title: 'Forecast: California 2030',
+        mount: initializeAirQualityChart,
+        prev: 'solutions',
+        next: 'medellin-case'
+    },
+    'applications': {
+        title: 'Take Action Now',
+        mount: (params, signal) => {
+            initializeActionForm(signal);
+            initializeCommunityImpact(signal);
+        },
+        prev: 'medellin-case',
+        next: 'home'
+    },
+    'moderation': {
+        title: 'Review Suggestions',
+        mount: initializeModerationDashboard,
+        prev: 'applications',
+        next: 'home'
+    },
+    'compare': {
+        title: 'Compare Cities',
+        mount: initializeCityComparison,
+        update: showComparisonFromParams,
+        prev: 'home',
+        next: 'applications'
+    },
+    [NOT_FOUND_SECTION]: {
+        title: 'Section not found',
+        next: 'home'
     }
-    
-    // Initialize solutions navigation
-    if (targetId === 'solutions') {
-        setTimeout(() => {
-            initializeSolutionsNavigation();
-        }, 500);
+};
+
+// Case-study sections reached by selecting a country on the globe
+// (filled from CASE_STUDIES by renderCaseStudies)
+const GLOBE_CASE_SECTIONS = {};
+
+// True while the globe flies to a location before leaving the home section
+let globeFlightPending = false;
+// Incremented by every navigation, so a deferred one knows when it was replaced
+let navigationToken = 0;
+
+// Aborted when the mounted section is left, removing its listeners
+let sectionLifecycle = null;
+
+// NEW FUNCTION: Scroll to top
+function scrollToTop() {
+    window.scrollTo({
+        top: 0,
+        behavior: 'smooth'
+    });
+}
+
+// Split a hash such as '#solutions/sustainable-mobility' into id and params.
+// Malformed escapes (e.g. '#%E0') resolve to the not-found section.
+function parseRoute(hash) {
+    let parts;
+    try {
+        parts = hash.replace(/^#/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+        return { id: NOT_FOUND_SECTION, params: [] };
     }
-    
-    // NEW: Initialize action form
-    if (targetId === 'applications') {
+    const [id, ...params] = parts;
+    return { id: id || 'home', params };
+}
+
+function buildHash(id, params = []) {
+    return '#' + [id, ...params].map(encodeURIComponent).join('/');
+}
+
+// Resolve a section id to a known route (unknown ids fall back to the not-found route)
+function resolveRoute(id) {
+    if (ROUTES[id] && document.getElementById(id)) return id;
+    return NOT_FOUND_SECTION;
+}
+
+function setDocumentTitle(routeId) {
+    const title = ROUTES[routeId].title;
+    document.title = routeId === 'home' ? title : `${title} · Smart City Data`;
+}
+
+// Section lifecycle: mount on enter, unmount (and drop listeners) on leave
+function mountSection(routeId, params) {
+    const route = ROUTES[routeId];
+    sectionLifecycle = new AbortController();
+    if (route.mount) route.mount(params, sectionLifecycle.signal);
+}
+
+function unmountSection(routeId) {
+    const route = ROUTES[routeId];
+    if (sectionLifecycle) sectionLifecycle.abort();
+    sectionLifecycle = null;
+    if (route && route.unmount) route.unmount();
+}
+
+// Switch the visible section with the fade transition and run the route hooks
+function activateSection(routeId, params) {
+    const route = ROUTES[routeId];
+    const previousId = currentSectionId;
+
+    // Same section with new params (e.g. another solution): only update
+    if (routeId === previousId) {
+        if (route.update) route.update(params);
+        return;
+    }
+
+    // 1.1 Hide current active section with transition
+    unmountSection(previousId);
+
+    const currentSection = document.getElementById(previousId);
+    if (currentSection) {
+        currentSection.classList.remove('active');
         setTimeout(() => {
-            initializeActionForm();
-        }, 500);
+            // Only if the user has not come back in the meantime
+            if (currentSectionId !== previousId) currentSection.style.zIndex = -1;
+        }, SECTION_TRANSITION_MS);
     }
-    
-    // 1.4 Update URL
-    history.pushState(null, '', `#${targetId}`);
+
+    // 1.2 Show new section (next frame, so the transition runs)
+    const newSection = document.getElementById(routeId);
+    newSection.style.zIndex = 1;
+    requestAnimationFrame(() => {
+        newSection.classList.add('active');
+        scrollToTop();
+    });
+    currentSectionId = routeId;
+    setDocumentTitle(routeId);
+
+    // 1.3 Section initialization
+    mountSection(routeId, params);
 }
 
-// 2. Function to handle quiz selection
-function handleQuiz(option) {
-    if (option === 'correct') {
-        showSection('correct');
-    } else {
-        showSection(option); 
+// 1. Main function to show a section.
+// target is a section id, optionally with params: 'solutions/sustainable-mobility'
+// options.fromHistory: called from popstate, so the history entry already exists
+function showSection(target, options = {}) {
+    const { id, params } = parseRoute(target);
+    const routeId = resolveRoute(id);
+    const route = ROUTES[routeId];
+    const token = ++navigationToken;
+
+    // A navigation waiting for the globe flight is replaced by this one
+    if (globeFlightPending && !options.skipFlight) {
+        globeFlightPending = false;
+        if (window.globe) window.globe.cancelFlight();
+    }
+
+    // 1.0 Fly the globe to the case study location first
+    if (route.globe && window.globe && !options.skipFlight) {
+        const flight = window.globe.flyTo(route.globe.lat, route.globe.lon, route.globe.zoom);
+        
+        // Starting from the home globe: let the story begin there, then navigate
+        if (currentSectionId === 'home') {
+            globeFlightPending = true;
+            flight.then(() => {
+                // Another navigation came first: it replaced this one
+                if (token !== navigationToken) return;
+                globeFlightPending = false;
+                showSection(target, { ...options, skipFlight: true });
+            });
+            return;
+        }
+    }
+    
+    console.log('Navigating to:', routeId, params);
+    activateSection(routeId, params);
+    
+    // 1.4 Update URL (unknown hashes stay in the address bar)
+    const hash = routeId === NOT_FOUND_SECTION ? buildHash(id, params) : buildHash(routeId, params);
+    if (options.fromHistory) {
+        history.replaceState(null, '', hash);
+    } else if (hash !== window.location.hash) {
+        history.pushState(null, '', hash);
     }
 }
 
+// Follow the journey order defined in the route table
+function showNextSection() {
+    const next = ROUTES[currentSectionId].next;
+    if (next) showSection(next);
+}
+
+function showPreviousSection() {
+    const prev = ROUTES[currentSectionId].prev;
+    if (prev) showSection(prev);
+}
+
 // 3. Initialize page
 function initializePage() {
-    // Get URL hash, remove '#' and set 'home' as default
-    const initialHash = window.location.hash.substring(1) || 'home'; 
+    // Case study sections and routes (js/case-studies.js)
+    renderCaseStudies();
+    
+    // Deep link from the URL hash ('home' by default)
+    const { id, params } = parseRoute(window.location.hash);
+    const routeId = resolveRoute(id);
     
     // Show initial section without animation on first load
-    const initialSection = document.getElementById(initialHash);
-    if (initialSection) {
-        initialSection.classList.add('active');
-        initialSection.style.zIndex = 1;
-        currentSectionId = initialHash;
-    }
+    const initialSection = document.getElementById(routeId);
+    document.getElementById(currentSectionId).classList.remove('active');
+    initialSection.classList.add('active');
+    initialSection.style.zIndex = 1;
+    currentSectionId = routeId;
+    setDocumentTitle(routeId);
+    
+    mountSection(routeId, params);
     
     // SCROLL TO TOP on initial load
-    setTimeout(() => {
-        scrollToTop();
-    }, 100);
+    scrollToTop();
     
-    // Monitor browser 'Back' button
+    // Monitor browser 'Back' and 'Forward' buttons
     window.addEventListener('popstate', () => {
-        const hash = window.location.hash.substring(1) || 'home';
-        if (hash && hash !== currentSectionId) {
-            showSection(hash);
+        showSection(window.location.hash, { fromHistory: true });
+    });
+    
+    // Time-series playback under the globe
+    initializeGlobeTimeline();
+    
+    // CSV / JSON / PNG downloads for charts and tables
+    initializeExportMenus();
+    
+    // Suggestions submitted while offline
+    initializeSuggestionQueue();
+    
+    // Jump to the matching case study when a country or city is picked on the globe
+    document.addEventListener('globe:select', (e) => {
+        // Picking a rough location for a suggestion
+        if (receiveGlobeLocation(e.detail)) return;
+        
+        const targetId = GLOBE_CASE_SECTIONS[e.detail.country];
+        if (targetId && currentSectionId === 'home') {
+            showSection(targetId);
         }
     });
 }
 
 // 4. Initialize Chart.js for air quality
+// Baseline and per-solution reductions (low/high estimates) come from the data file;
+// the scenario controls choose which solutions apply and how widely they are adopted.
+const CALIFORNIA_FORECAST_URL = 'data/california-forecast.json';
+let californiaForecast = null;
 let airQualityChartInstance = null;
 
-function initializeAirQualityChart() {
-    // Destroy previous instance to avoid duplication
+// Current scenario (kept when leaving and coming back to the section)
+const forecastScenario = {
+    solutions: null, // Set of enabled solution ids, all of them until the user changes it
+    adoption: 1      // 0..1
+};
+
+function loadCaliforniaForecast() {
+    if (californiaForecast) return Promise.resolve(californiaForecast);
+
+    return fetch(CALIFORNIA_FORECAST_URL)
+        .then(r => {
+            if (!r.ok) throw new Error('Failed to load California forecast: ' + r.status);
+            return r.json();
+        })
+        .then(data => {
+            californiaForecast = data;
+            return data;
+        });
+}
+
+// Project every indicator for the scenario. Reductions of the enabled solutions compound,
+// scaled by the adoption level; 'minimum' uses the low estimates and 'maximum' the high ones.
+function computeForecast(forecast, enabledIds, adoption) {
+    const projection = {};
+
+    Object.entries(forecast.indicators).forEach(([key, indicator]) => {
+        let minimumRemaining = 1;
+        let maximumRemaining = 1;
+
+        forecast.solutions.forEach(solution => {
+            const range = solution.reductions[key];
+            if (!range || !enabledIds.has(solution.id)) return;
+            minimumRemaining *= 1 - range[0] * adoption;
+            maximumRemaining *= 1 - range[1] * adoption;
+        });
+
+        projection[key] = {
+            current: indicator.baseline,
+            minimum: Math.round(indicator.baseline * minimumRemaining),
+            maximum: Math.round(indicator.baseline * maximumRemaining),
+            reduction: [Math.round((1 - minimumRemaining) * 100), Math.round((1 - maximumRemaining) * 100)]
+        };
+    });
+
+    return projection;
+}
+
+// '40–70' (or a single number when both estimates agree)
+function formatForecastRange(low, high) {
+    return low === high ? `${low}` : `${low}–${high}`;
+}
+
+// Rewrite the "After" column of the #california-forecast table
+function updateForecastTable(forecast, projection) {
+    const enabledCount = forecastScenario.solutions.size;
+    const header = document.getElementById('forecast-after-header');
+    if (header) {
+        header.textContent = `After (with ${enabledCount} solution${enabledCount === 1 ? '' : 's'} applied)`;
+    }
+
+    document.querySelectorAll('#california-forecast [data-forecast]').forEach(cell => {
+        const indicator = forecast.indicators[cell.dataset.forecast];
+        const value = projection[cell.dataset.forecast];
+        if (!indicator || !value) return;
+
+        const improved = value.reduction[1] > 0;
+        cell.classList.toggle('positive', improved);
+        cell.querySelector('p').textContent = improved
+            ? `Drops to ${formatForecastRange(value.maximum, value.minimum)} ${indicator.unit}, a reduction of ${formatForecastRange(...value.reduction)}%`
+            : 'No change from the current situation';
+    });
+}
+
+function updateForecastExplanation(projection) {
+    const explanation = document.getElementById('forecast-explanation');
+    if (!explanation) return;
+
+    const days = projection.badAirDays;
+    const no2 = projection.no2Annual;
+    const yearShare = (value) => ((value / 365) * 100).toFixed(0);
+
+    explanation.innerHTML = `
+        <p><strong>Before:</strong> ${days.current} days/year with bad air (${yearShare(days.current)}% of the year), ${no2.current} ppb NO₂</p>
+        <p><strong>After:</strong> ${formatForecastRange(days.maximum, days.minimum)} days/year with bad air (${formatForecastRange(yearShare(days.maximum), yearShare(days.minimum))}% of the year), ${formatForecastRange(no2.maximum, no2.minimum)} ppb NO₂</p>
+        <p><strong>Reduction:</strong> ${formatForecastRange(...days.reduction)}% fewer days with health-harmful air</p>`;
+}
+
+// Recompute the scenario and refresh chart, table and explanation
+function updateAirQualityForecast(forecast) {
+    const projection = computeForecast(forecast, forecastScenario.solutions, forecastScenario.adoption);
+    const days = projection.badAirDays;
+    const no2 = projection.no2Annual;
+
     if (airQualityChartInstance) {
-        airQualityChartInstance.destroy();
+        airQualityChartInstance.data.datasets[0].data = [days.current, days.minimum, days.maximum];
+        airQualityChartInstance.data.datasets[1].data = [no2.current, no2.minimum, no2.maximum];
+        airQualityChartInstance.update();
     }
 
-    const ctx = document.getElementById('airQualityChart');
-    if (ctx) {
-        airQualityChartInstance = new Chart(ctx, {
-            type: 'bar',
-            data: {
+    updateForecastTable(forecast, projection);
+    updateForecastExplanation(projection);
+}
+
+// Solution toggles and adoption slider; listeners are removed when the section is left
+function initializeScenarioControls(forecast, signal) {
+    const panel = document.getElementById('forecast-scenario');
+    const list = document.getElementById('scenario-solutions');
+    const adoption = document.getElementById('scenario-adoption');
+    const adoptionValue = document.getElementById('scenario-adoption-value');
+    if (!panel || !list || !adoption) return;
+
+    list.innerHTML = forecast.solutions.map(solution => `
+        <label class="scenario-solution">
+            <input type="checkbox" value="${solution.id}"${forecastScenario.solutions.has(solution.id) ? ' checked' : ''}>
+            <span class="nav-icon">${solution.icon}</span>
+            ${solution.label}
+        </label>`).join('');
+
+    list.addEventListener('change', function(e) {
+        if (e.target.checked) {
+            forecastScenario.solutions.add(e.target.value);
+        } else {
+            forecastScenario.solutions.delete(e.target.value);
+        }
+        updateAirQualityForecast(forecast);
+    }, { signal });
+
+    adoption.value = Math.round(forecastScenario.adoption * 100);
+    adoptionValue.textContent = `${adoption.value}%`;
+
+    adoption.addEventListener('input', function() {
+        forecastScenario.adoption = adoption.value / 100;
+        adoptionValue.textContent = `${adoption.value}%`;
+        updateAirQualityForecast(forecast);
+    }, { signal });
+
+    panel.hidden = false;
+}
+
+function initializeAirQualityChart(params, signal) {
+    loadCaliforniaForecast()
+        .then(forecast => {
+            // Section left while the data was loading
+            if (signal && signal.aborted) return;
+
+            if (!forecastScenario.solutions) {
+                forecastScenario.solutions = new Set(forecast.solutions.map(solution => solution.id));
+            }
+
+            initializeScenarioControls(forecast, signal);
+            drawAirQualityChart(forecast);
+            updateAirQualityForecast(forecast);
+        })
+        .catch(err => {
+            console.warn('Could not load California forecast:', err);
+        });
+}
+
+// Axis maximum with some headroom above the baseline (100 days -> 120)
+function forecastAxisMax(indicator) {
+    return Math.ceil((indicator.baseline * 1.2) / 10) * 10;
+}
+
+// Options shared by the bar charts (forecast, quiz impact, city comparison):
+// white text on the dark background, faint grid lines and a slow ease-out animation.
+// - title: chart title
+// - tooltipLabel(context): text of one tooltip line
+// - yAxis: { title, format(value), ...Chart.js scale options } of the value axis
+// - scales: more axes, e.g. a second value axis
+function barChartOptions({ title, tooltipLabel, yAxis, scales = {} }) {
+    const { title: axisTitle, format, ...axis } = yAxis;
+    const ticks = { color: '#fff' };
+    if (format) ticks.callback = format;
+
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                labels: {
+                    color: '#fff'
+                }
+            },
+            tooltip: {
+                callbacks: {
+                    label: tooltipLabel
+                }
+            },
+            title: {
+                display: true,
+                text: title,
+                color: '#fff',
+                font: {
+                    size: 16,
+                    weight: 'bold'
+                }
+            }
+        },
+        scales: {
+            y: {
+                ...axis,
+                title: {
+                    display: true,
+                    text: axisTitle,
+                    color: '#fff'
+                },
+                ticks,
+                grid: {
+                    color: 'rgba(255, 255, 255, 0.1)'
+                }
+            },
+            ...scales,
+            x: {
+                ticks: {
+                    color: '#fff',
+                    font: {
+                        size: 12
+                    }
+                },
+                grid: {
+                    color: 'rgba(255, 255, 255, 0.1)'
+                }
+            }
+        },
+        animation: {
+            duration: 2000,
+            easing: 'easeOutQuart'
+        }
+    };
+}
+
+function drawAirQualityChart(forecast) {
+    // Destroy previous instance to avoid duplication
+    if (airQualityChartInstance) {
+        airQualityChartInstance.destroy();
+        airQualityChartInstance = null;
+    }
+
+    const days = forecast.indicators.badAirDays;
+    const no2 = forecast.indicators.no2Annual;
+
+    const ctx = document.getElementById('airQualityChart');
+    if (ctx) {
+        airQualityChartInstance = new Chart(ctx, {
+            type: 'bar',
+            data: {
                 labels: ['Current Situation', 'With Solutions Applied (Minimum)', 'With Solutions Applied (Maximum)'],
                 datasets: [{
-                    label: 'Bad Air Days per Year',
-                    data: [100, 70, 40],
+                    label: days.label,
+                    data: [],
+                    yAxisID: 'y',
                     backgroundColor: [
                         'rgba(255, 59, 48, 0.8)',  // Red for current situation
                         'rgba(255, 149, 0, 0.8)',   // Orange for minimum
@@ -345,242 +2088,2080 @@ function initializeAirQualityChart() {
                     borderWidth: 2,
                     borderRadius: 8,
                     borderSkipped: false,
+                }, {
+                    label: `${no2.label} (${no2.unit})`,
+                    data: [],
+                    yAxisID: 'y1',
+                    backgroundColor: 'rgba(0, 122, 255, 0.5)',
+                    borderColor: 'rgba(0, 122, 255, 1)',
+                    borderWidth: 2,
+                    borderRadius: 8,
+                    borderSkipped: false,
                 }]
             },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: function(context) {
-                                let label = context.dataset.label || '';
-                                if (label) {
-                                    label += ': ';
-                                }
-                                if (context.parsed.y !== null) {
-                                    const percentage = ((context.parsed.y / 365) * 100).toFixed(1);
-                                    label += `${context.parsed.y} days (${percentage}% of year)`;
-                                }
-                                return label;
-                            }
-                        }
-                    },
-                    title: {
-                        display: true,
-                        text: 'Reduction of Bad Air Days',
-                        color: '#fff',
-                        font: {
-                            size: 16,
-                            weight: 'bold'
-                        }
+            options: barChartOptions({
+                title: 'Reduction of Bad Air Days',
+                tooltipLabel: function(context) {
+                    let label = context.dataset.label || '';
+                    if (label) {
+                        label += ': ';
+                    }
+                    if (context.parsed.y !== null && context.dataset.yAxisID === 'y1') {
+                        label = `${no2.label}: ${context.parsed.y} ${no2.unit}`;
+                    } else if (context.parsed.y !== null) {
+                        const percentage = ((context.parsed.y / 365) * 100).toFixed(1);
+                        label += `${context.parsed.y} days (${percentage}% of year)`;
+                    }
+                    return label;
+                },
+                yAxis: {
+                    beginAtZero: true,
+                    max: forecastAxisMax(days),
+                    title: 'Days per Year',
+                    format: function(value) {
+                        return value + ' days';
                     }
                 },
                 scales: {
-                    y: {
+                    y1: {
+                        position: 'right',
                         beginAtZero: true,
-                        max: 120,
+                        max: forecastAxisMax(no2),
                         title: {
                             display: true,
-                            text: 'Days per Year',
+                            text: `${no2.label} (${no2.unit})`,
                             color: '#fff'
                         },
                         ticks: {
-                            color: '#fff',
-                            callback: function(value) {
-                                return value + ' days';
-                            }
-                        },
-                        grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            color: '#fff',
-                            font: {
-                                size: 12
-                            }
+                            color: '#fff'
                         },
                         grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
+                            drawOnChartArea: false
                         }
                     }
+                }
+            })
+        });
+    }
+}
+
+// 4.1 Quiz impact metrics (correct_metrics section)
+// Estimated change after 10 years for each answer of the green corridors question
+// (options with an 'impact' key in data/quiz-questions.json), relative to today
+const QUIZ_IMPACTS = {
+    'correct': {
+        label: 'Urban Green Corridors',
+        color: '52, 199, 89',
+        airPollution: -45,
+        badAirDays: -40,
+        biodiversity: 80,
+        temperature: -3
+    },
+    'wrongA': {
+        label: 'Highways & Urban Tunnels',
+        color: '255, 149, 0',
+        airPollution: 20,
+        badAirDays: 25,
+        biodiversity: -10,
+        temperature: 1
+    },
+    'wrongB': {
+        label: 'Buildings over Green Areas',
+        color: '255, 59, 48',
+        airPollution: 15,
+        badAirDays: 20,
+        biodiversity: -60,
+        temperature: 2
+    }
+};
+
+const QUIZ_IMPACTS_METADATA = {
+    id: 'quiz-impact',
+    title: 'Estimated change after 10 years for each quiz answer (%)',
+    source: 'Scenario estimates based on urban heat island and air quality studies'
+};
+
+// Last answer picked in the quiz (used when the metrics route has no param)
+let lastQuizChoice = 'correct';
+let metricsChartInstance = null;
+
+function formatChange(value, unit) {
+    return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+function renderQuizMetricCards(impact) {
+    const cards = document.getElementById('metrics-cards');
+    if (!cards) return;
+
+    const metrics = [
+        { value: formatChange(impact.airPollution, '%'), label: 'Air Pollution' },
+        { value: formatChange(impact.temperature, '°C'), label: 'Urban Temperature' },
+        { value: formatChange(impact.biodiversity, '%'), label: 'Biodiversity' }
+    ];
+
+    cards.innerHTML = metrics.map(metric => `
+        <div class="metric">
+            <span class="metric-value">${metric.value}</span>
+            <span class="metric-label">${metric.label}</span>
+        </div>`).join('');
+}
+
+// Chart the chosen answer against the other two (params[0]: 'correct', 'wrongA' or 'wrongB')
+function initializeChart(params = []) {
+    const choice = QUIZ_IMPACTS[params[0]] ? params[0] : lastQuizChoice;
+    const impact = QUIZ_IMPACTS[choice];
+    lastQuizChoice = choice;
+
+    const summary = document.getElementById('metrics-summary');
+    if (summary) {
+        summary.textContent = `You chose ${impact.label}. Estimated change after 10 years compared with today:`;
+    }
+    renderQuizMetricCards(impact);
+
+    // Destroy previous instance to avoid duplication
+    if (metricsChartInstance) {
+        metricsChartInstance.destroy();
+    }
+
+    const ctx = document.getElementById('metricsChart');
+    if (ctx) {
+        // The chosen answer is drawn solid, the alternatives faded
+        const datasets = Object.keys(QUIZ_IMPACTS).map(key => {
+            const option = QUIZ_IMPACTS[key];
+            const chosen = key === choice;
+            return {
+                label: option.label,
+                data: [option.airPollution, option.badAirDays, option.biodiversity],
+                backgroundColor: `rgba(${option.color}, ${chosen ? 0.9 : 0.3})`,
+                borderColor: `rgba(${option.color}, 1)`,
+                borderWidth: chosen ? 3 : 1,
+                borderRadius: 8,
+                borderSkipped: false,
+            };
+        });
+
+        metricsChartInstance = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: ['Air Pollution (NO₂)', 'Bad Air Days', 'Biodiversity'],
+                datasets: datasets
+            },
+            options: barChartOptions({
+                title: 'Impact of Each Answer',
+                tooltipLabel: function(context) {
+                    return `${context.dataset.label}: ${formatChange(context.parsed.y, '%')}`;
                 },
-                animation: {
-                    duration: 2000,
-                    easing: 'easeOutQuart'
+                yAxis: {
+                    min: -100,
+                    max: 100,
+                    title: 'Change vs Today',
+                    format: function(value) {
+                        return formatChange(value, '%');
+                    }
+                }
+            })
+        });
+    }
+}
+
+// 4.2 Quiz engine (#quiz and #quiz-results)
+// Questions and per-option explanations come from the question bank; each round shuffles
+// the questions and their options, and only the first answer to a question is scored.
+const QUIZ_QUESTIONS_URL = 'data/quiz-questions.json';
+let quizBank = null;
+let quizRound = null; // { questions, index, answers: [{ question, option }], done }
+
+function loadQuizQuestions() {
+    if (quizBank) return Promise.resolve(quizBank);
+
+    return fetch(QUIZ_QUESTIONS_URL)
+        .then(r => {
+            if (!r.ok) throw new Error('Failed to load quiz questions: ' + r.status);
+            return r.json();
+        })
+        .then(data => {
+            quizBank = data;
+            return data;
+        });
+}
+
+// Fisher-Yates shuffle on a copy
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function startQuizRound(bank) {
+    quizRound = {
+        questions: shuffle(bank.questions).map(question => ({ ...question, options: shuffle(question.options) })),
+        index: 0,
+        answers: [],
+        done: false
+    };
+    return quizRound;
+}
+
+function quizScore(round) {
+    return round.answers.filter(answer => answer.option.correct).length;
+}
+
+function currentQuizAnswer() {
+    return quizRound && quizRound.answers[quizRound.index];
+}
+
+function renderQuizQuestion() {
+    const question = quizRound.questions[quizRound.index];
+    const answer = currentQuizAnswer();
+    const total = quizRound.questions.length;
+
+    document.getElementById('quiz-progress').textContent =
+        `Question ${quizRound.index + 1} of ${total} · Score ${quizScore(quizRound)}`;
+    document.getElementById('quiz-question').textContent = question.question;
+
+    document.getElementById('quiz-options').innerHTML = question.options.map((option, i) => {
+        let state = '';
+        if (answer && option.correct) state = ' correct';
+        else if (answer && answer.option.id === option.id) state = ' wrong';
+        return `
+            <button type="button" class="secondary-button${state}" data-option="${escapeHTML(option.id)}"${answer ? ' disabled' : ''}>
+                <span class="quiz-emoji">${escapeHTML(option.emoji || '')}</span>
+                <strong>${String.fromCharCode(65 + i)}) ${escapeHTML(option.label)}</strong>
+                ${option.detail ? `<small>${escapeHTML(option.detail)}</small>` : ''}
+            </button>`;
+    }).join('');
+
+    renderQuizFeedback(question, answer);
+}
+
+// Explanation of the picked option; wrong answers also name the correct one
+function renderQuizFeedback(question, answer) {
+    const feedback = document.getElementById('quiz-feedback');
+    feedback.hidden = !answer;
+    if (!answer) return;
+
+    const { option } = answer;
+    const correctOption = question.options.find(item => item.correct);
+    feedback.classList.toggle('correct-screen', Boolean(option.correct));
+    feedback.classList.toggle('wrong-screen', !option.correct);
+
+    document.getElementById('quiz-feedback-title').textContent =
+        option.title || (option.correct ? '✅ Correct!' : '❌ Not quite');
+    document.getElementById('quiz-feedback-text').textContent = option.correct || !correctOption
+        ? option.explanation
+        : `${option.explanation} The answer was: ${correctOption.label}.`;
+
+    document.getElementById('quiz-impact').hidden = !QUIZ_IMPACTS[option.impact];
+    document.getElementById('quiz-next').textContent =
+        quizRound.index + 1 < quizRound.questions.length ? 'Next Question' : 'See Your Results';
+}
+
+// Answer the current question with one of its option ids
+function handleQuiz(optionId) {
+    if (!quizRound || currentQuizAnswer()) return;
+
+    const question = quizRound.questions[quizRound.index];
+    const option = question.options.find(item => item.id === optionId);
+    if (!option) return;
+
+    quizRound.answers[quizRound.index] = { question, option };
+    if (QUIZ_IMPACTS[option.impact]) lastQuizChoice = option.impact;
+    renderQuizQuestion();
+}
+
+function nextQuizQuestion() {
+    if (!currentQuizAnswer()) return;
+
+    if (quizRound.index + 1 < quizRound.questions.length) {
+        quizRound.index++;
+        renderQuizQuestion();
+        scrollToTop();
+    } else {
+        showSection('quiz-results');
+    }
+}
+
+// A round in progress is resumed (e.g. back from the impact chart); one whose results were shown starts over
+function initializeQuiz(signal) {
+    const options = document.getElementById('quiz-options');
+
+    options.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-option]');
+        if (button) handleQuiz(button.dataset.option);
+    }, { signal });
+    document.getElementById('quiz-next').addEventListener('click', nextQuizQuestion, { signal });
+    document.getElementById('quiz-impact').addEventListener('click', () => {
+        showSection(`correct_metrics/${currentQuizAnswer().option.impact}`);
+    }, { signal });
+
+    loadQuizQuestions()
+        .then(bank => {
+            if (signal.aborted) return;
+            if (!quizRound || quizRound.done) startQuizRound(bank);
+            renderQuizQuestion();
+        })
+        .catch(err => {
+            console.warn('Quiz questions not available:', err);
+            document.getElementById('quiz-question').textContent = 'The quiz questions could not be loaded. Please try again later.';
+        });
+}
+
+function renderQuizResults() {
+    const score = document.getElementById('quiz-score');
+    const review = document.getElementById('quiz-review');
+
+    if (!quizRound || !quizRound.answers.length) {
+        score.textContent = 'Answer the quiz questions to see your results here.';
+        review.innerHTML = '';
+        return;
+    }
+
+    quizRound.done = true;
+    const total = quizRound.questions.length;
+    const points = quizScore(quizRound);
+    score.textContent = `You scored ${points} of ${total} (${Math.round(points / total * 100)}%).`;
+
+    review.innerHTML = quizRound.questions.map((question, i) => {
+        const answer = quizRound.answers[i];
+        const correctOption = question.options.find(item => item.correct);
+        const picked = answer ? answer.option : null;
+        return `
+            <li class="${picked && picked.correct ? 'correct' : 'wrong'}">
+                <strong>${escapeHTML(question.question)}</strong>
+                <span>${picked ? `${picked.correct ? '✅' : '❌'} ${escapeHTML(picked.label)}` : '— Not answered'}</span>
+                ${picked && !picked.correct && correctOption ? `<span>Answer: ${escapeHTML(correctOption.label)}</span>` : ''}
+                <small>${escapeHTML(correctOption ? correctOption.explanation : '')}</small>
+            </li>`;
+    }).join('');
+}
+
+function restartQuiz() {
+    quizRound = null;
+    showSection('quiz');
+}
+
+// --- 5. CASE STUDY ENGINE ---
+// Case study sections are generated from CASE_STUDIES (js/case-studies.js):
+// narrative, info buttons, before/after table, animated bars and their route.
+
+// Pollutants and hotspots shown as info buttons over the map
+function getCaseInfoItems(caseStudy) {
+    return [...(caseStudy.pollutants || []), ...(caseStudy.hotspots || [])]
+        .filter(item => item.summary)
+        .map(item => ({ ...item, infoId: `${caseStudy.id}-${item.id}-info` }));
+}
+
+function renderCaseTable(caseStudy) {
+    const indicators = caseStudy.indicators;
+    if (!indicators) return '';
+
+    const rows = [...indicators.rows];
+    if (caseStudy.investment) {
+        rows.push({ icon: '💰', label: 'Investment', before: caseStudy.investment.before, after: caseStudy.investment.after });
+    }
+
+    return `
+            <div class="case-table-container">
+                <h3>📊 ${indicators.title}</h3>
+                <p class="table-subtitle">${indicators.subtitle}</p>
+                <div class="comparison-table">
+                    <div class="table-header">
+                        <div class="table-cell indicator-header">Indicator</div>
+                        <div class="table-cell before-header">Before</div>
+                        <div class="table-cell after-header">After</div>
+                    </div>
+                    ${rows.map(row => `
+                    <div class="table-row">
+                        <div class="table-cell indicator-cell">
+                            <div class="indicator-icon">${row.icon}</div>
+                            <div class="indicator-text">${row.label}</div>
+                        </div>
+                        <div class="table-cell before-cell">
+                            <p>${row.before}</p>
+                        </div>
+                        <div class="table-cell after-cell positive">
+                            <p>${row.after}</p>
+                        </div>
+                    </div>`).join('')}
+                </div>
+                ${renderExportMenu(`${caseStudy.id}-table`, ['csv', 'json'])}
+            </div>`;
+}
+
+// Bars animate in one after the other (--bar-delay, see .chart-bar-before in base.css)
+function renderCaseBars(caseStudy) {
+    if (!caseStudy.bars) return '';
+
+    return `
+            <div class="case-chart-container">
+                ${caseStudy.bars.map((bar, i) => `
+                <div class="chart-row">
+                    <div class="chart-item">
+                        <div class="chart-label">${bar.label}</div>
+                        <div class="chart-bar-container">
+                            <div class="chart-bar-${bar.style === 'after' ? 'after' : 'before'}" style="width: 100%; --bar-delay: ${((i + 1) * 0.2).toFixed(1)}s">
+                                <span class="chart-value">${bar.value}</span>
+                            </div>
+                        </div>
+                        <div class="chart-explanation">${bar.explanation}</div>
+                    </div>
+                </div>`).join('')}
+            </div>`;
+}
+
+// Links to the other case studies
+function renderCaseLinks(caseStudy) {
+    const others = CASE_STUDIES.filter(other => other.id !== caseStudy.id);
+    if (!others.length) return '';
+
+    return `
+            <div class="case-study-links">
+                <span>More case studies:</span>
+                ${others.map(other => `<button class="case-study-link" onclick="showSection('${other.id}')">${other.city}</button>`).join('')}
+                <button class="case-study-link" onclick="showSection('compare/${caseStudy.id}')">⚖️ Compare</button>
+            </div>`;
+}
+
+function renderCaseStudy(caseStudy) {
+    const infoItems = getCaseInfoItems(caseStudy);
+    const section = document.createElement('section');
+    section.id = caseStudy.id;
+    section.className = `section-journey case-study case-${caseStudy.kind}`;
+
+    section.innerHTML = `
+        <div class="content-block">
+            <h2>${caseStudy.title}</h2>
+            ${caseStudy.lead ? `<p><strong>${caseStudy.lead}</strong></p>` : ''}
+            ${(caseStudy.narrative || []).map(paragraph => `<p>${paragraph}</p>`).join('')}
+            ${caseStudy.callout ? `<p><strong>${caseStudy.callout}</strong></p>` : ''}
+            ${infoItems.length ? `
+            <div class="discovery-message">
+                <p>🎯 <strong>Interactive Discovery:</strong> Click the buttons ${caseStudy.image ? 'on the map' : 'on the side'} to explore additional data!</p>
+            </div>` : ''}
+            ${renderCaseTable(caseStudy)}
+            ${caseStudy.callToAction ? `
+            <div class="success-call-to-action">
+                <h3>${caseStudy.callToAction.title}</h3>
+                <p>${caseStudy.callToAction.text}</p>
+            </div>` : ''}
+            ${renderCaseLinks(caseStudy)}
+            ${(caseStudy.actions || []).map(action => `
+            <button class="primary-button right-button" onclick="showSection('${action.target}')">${action.label}</button>`).join('')}
+        </div>
+        <div class="image-placeholder">
+            ${caseStudy.visual ? `
+            <h3>${caseStudy.visual.title}</h3>
+            <p>${caseStudy.visual.subtitle}</p>` : ''}
+            ${infoItems.length ? `
+            <div class="interactive-buttons">
+                ${infoItems.map(item => `
+                <button class="info-button" data-target="${item.infoId}">${item.icon} ${item.label}</button>`).join('')}
+            </div>` : ''}
+            ${caseStudy.image ? `<img src="${caseStudy.image.src}" alt="${caseStudy.image.alt}" class="case-image">` : ''}
+            ${infoItems.map(item => `
+            <div class="info-content" id="${item.infoId}" style="display: none;">
+                <h4>${item.icon} ${item.label}</h4>
+                <p><strong>${item.summary}</strong><br>${item.description || ''}</p>
+            </div>`).join('')}
+            ${renderCaseBars(caseStudy)}
+            ${caseStudy.beforeAfterImage ? `
+            <div class="then-now-image-container">
+                <img src="${caseStudy.beforeAfterImage.src}" alt="${caseStudy.beforeAfterImage.alt}" class="then-now-image">
+            </div>` : ''}
+        </div>`;
+
+    return section;
+}
+
+// Citation for the case study exports
+function getCaseMetadata(caseStudy) {
+    return {
+        id: caseStudy.id,
+        title: caseStudy.indicators ? caseStudy.indicators.title : caseStudy.title,
+        source: caseStudy.source
+    };
+}
+
+// Build every case study section and register its route, globe country and export
+function renderCaseStudies() {
+    const anchor = document.getElementById(NOT_FOUND_SECTION);
+
+    CASE_STUDIES.forEach(caseStudy => {
+        anchor.before(renderCaseStudy(caseStudy));
+
+        ROUTES[caseStudy.id] = {
+            title: caseStudy.routeTitle,
+            mount: (params, signal) => mountCaseStudy(caseStudy, signal),
+            globe: caseStudy.globe,
+            prev: caseStudy.prev,
+            next: caseStudy.next
+        };
+
+        GLOBE_CASE_SECTIONS[caseStudy.country] = caseStudy.id;
+
+        if (caseStudy.indicators) {
+            DATA_EXPORTS[`${caseStudy.id}-table`] = {
+                name: 'table',
+                metadata: () => getCaseMetadata(caseStudy),
+                table: `#${caseStudy.id} .comparison-table`
+            };
+        }
+    });
+}
+
+function mountCaseStudy(caseStudy, signal) {
+    const section = document.getElementById(caseStudy.id);
+    initializeInteractiveButtons(signal, section);
+    restartCaseChartAnimations(section);
+}
+
+// Replay the bar animations each time the case study is shown
+function restartCaseChartAnimations(section) {
+    const chartBars = section.querySelectorAll('.chart-bar-before, .chart-bar-after');
+    
+    chartBars.forEach(bar => {
+        // Remove current animation
+        bar.style.animation = 'none';
+        
+        // Force reflow
+        void bar.offsetWidth;
+        
+        // Reapply animation
+        bar.style.animation = '';
+    });
+}
+
+// 5.1 City comparison (#compare/<case id>/<case id>...)
+// Indicators compared side by side; 'better' marks the best city of each row
+const COMPARISON_INDICATORS = [
+    {
+        id: 'temperature',
+        icon: '🌡️',
+        label: 'Summer average high',
+        unit: '°C',
+        better: 'lower',
+        value: caseStudy => caseStudy.metrics && caseStudy.metrics.summerHighC
+    },
+    {
+        id: 'no2',
+        icon: '🌫️',
+        label: 'Average NO₂',
+        unit: 'ppb',
+        better: 'lower',
+        value: caseStudy => {
+            const no2 = (caseStudy.pollutants || []).find(pollutant => pollutant.id === 'no2');
+            return no2 && no2.value;
+        }
+    },
+    {
+        id: 'badAirDays',
+        icon: '💨',
+        label: 'Days with bad air',
+        unit: 'days/year',
+        better: 'lower',
+        value: caseStudy => caseStudy.metrics && caseStudy.metrics.badAirDays
+    },
+    {
+        id: 'treeCover',
+        icon: '🌳',
+        label: 'Tree coverage',
+        unit: '%',
+        better: 'higher',
+        value: caseStudy => caseStudy.metrics && caseStudy.metrics.treeCoverPct
+    },
+    {
+        id: 'investment',
+        icon: '💰',
+        label: 'Investment',
+        unit: 'US$',
+        value: caseStudy => caseStudy.investment && caseStudy.investment.totalUSD
+    }
+];
+
+const COMPARISON_METADATA = {
+    id: 'city-comparison',
+    title: 'City comparison: temperature, NO₂, bad air days, tree coverage and investment',
+    source: 'Approximate figures from each case study (see the case study sources)'
+};
+
+// One color per city in the grouped chart
+const COMPARISON_COLORS = ['0, 122, 255', '52, 199, 89', '255, 149, 0', '255, 59, 48', '175, 82, 222'];
+
+// Cities shown when the URL does not pick any
+const DEFAULT_COMPARISON = ['california-case', 'medellin-case'];
+
+let comparisonSelection = [];
+let comparisonChartInstance = null;
+
+function formatComparisonValue(indicator, value) {
+    if (value === undefined || value === null) return '—';
+    if (indicator.unit === 'US$') return `US$ ${(value / 1e6).toLocaleString('en-US', { maximumFractionDigits: 1 })} million`;
+    if (indicator.unit === '%') return `${value}%`;
+    return `${value} ${indicator.unit}`;
+}
+
+function getSelectedCases() {
+    return comparisonSelection
+        .map(id => CASE_STUDIES.find(caseStudy => caseStudy.id === id))
+        .filter(Boolean);
+}
+
+// Keep the selection in the URL so it can be shared
+function updateComparisonHash() {
+    const hash = buildHash('compare', comparisonSelection);
+    if (hash !== window.location.hash) history.replaceState(null, '', hash);
+}
+
+function renderComparisonTable(cases) {
+    const container = document.getElementById('comparison-table');
+    if (!container) return;
+
+    // Column count for the grid in base.css (.city-comparison)
+    container.style.setProperty('--compare-columns', cases.length);
+
+    container.innerHTML = `
+        <div class="table-header">
+            <div class="table-cell indicator-header">Indicator</div>
+            ${cases.map(caseStudy => `<div class="table-cell compare-header">${caseStudy.city}</div>`).join('')}
+        </div>
+        ${COMPARISON_INDICATORS.map(indicator => {
+            const values = cases.map(caseStudy => indicator.value(caseStudy));
+            const known = values.filter(value => value !== undefined && value !== null);
+            const best = !indicator.better || known.length < 2 ? null
+                : indicator.better === 'lower' ? Math.min(...known) : Math.max(...known);
+
+            return `
+        <div class="table-row">
+            <div class="table-cell indicator-cell">
+                <div class="indicator-icon">${indicator.icon}</div>
+                <div class="indicator-text">${indicator.label}</div>
+            </div>
+            ${values.map((value, i) => `
+            <div class="table-cell compare-cell${best !== null && value === best ? ' best' : ''}" data-city="${cases[i].city}">
+                <p>${formatComparisonValue(indicator, value)}</p>
+            </div>`).join('')}
+        </div>`;
+        }).join('')}`;
+}
+
+// Indicators have different units, so each one is charted relative to the
+// highest selected city (100%); tooltips show the real values
+function renderComparisonChart(cases) {
+    if (comparisonChartInstance) {
+        comparisonChartInstance.destroy();
+        comparisonChartInstance = null;
+    }
+
+    const ctx = document.getElementById('comparisonChart');
+    if (!ctx) return;
+
+    const maxima = COMPARISON_INDICATORS.map(indicator =>
+        Math.max(...cases.map(caseStudy => indicator.value(caseStudy) || 0)));
+
+    comparisonChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: COMPARISON_INDICATORS.map(indicator => indicator.label),
+            datasets: cases.map((caseStudy, i) => {
+                const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+                return {
+                    label: caseStudy.city,
+                    data: COMPARISON_INDICATORS.map((indicator, row) => {
+                        const value = indicator.value(caseStudy);
+                        return value && maxima[row] ? Math.round((value / maxima[row]) * 100) : null;
+                    }),
+                    backgroundColor: `rgba(${color}, 0.8)`,
+                    borderColor: `rgba(${color}, 1)`,
+                    borderWidth: 2,
+                    borderRadius: 8,
+                    borderSkipped: false,
+                };
+            })
+        },
+        options: barChartOptions({
+            title: 'Cities Side by Side',
+            tooltipLabel: function(context) {
+                const indicator = COMPARISON_INDICATORS[context.dataIndex];
+                const value = indicator.value(cases[context.datasetIndex]);
+                return `${context.dataset.label}: ${formatComparisonValue(indicator, value)}`;
+            },
+            yAxis: {
+                beginAtZero: true,
+                max: 100,
+                title: 'Relative to the highest city',
+                format: function(value) {
+                    return value + '%';
+                }
+            }
+        })
+    });
+}
+
+function renderComparison() {
+    const cases = getSelectedCases();
+    const ready = cases.length >= 2;
+
+    document.querySelectorAll('#comparison-picker input').forEach(checkbox => {
+        checkbox.checked = comparisonSelection.includes(checkbox.value);
+    });
+
+    const hint = document.getElementById('comparison-hint');
+    if (hint) hint.hidden = ready;
+    document.querySelectorAll('#compare .comparison-results').forEach(element => {
+        element.hidden = !ready;
+    });
+
+    if (ready) {
+        renderComparisonTable(cases);
+        renderComparisonChart(cases);
+    }
+}
+
+// params: case study ids from the URL
+function showComparisonFromParams(params = []) {
+    const ids = params.filter(id => CASE_STUDIES.some(caseStudy => caseStudy.id === id));
+    comparisonSelection = params.length ? ids : [...DEFAULT_COMPARISON];
+    renderComparison();
+    // After showSection has written the hash it was called with
+    Promise.resolve().then(updateComparisonHash);
+}
+
+function initializeCityComparison(params, signal) {
+    const picker = document.getElementById('comparison-picker');
+    const shareButton = document.getElementById('comparison-share');
+
+    if (picker) {
+        picker.innerHTML = CASE_STUDIES.map(caseStudy => `
+            <label class="scenario-solution">
+                <input type="checkbox" value="${caseStudy.id}">
+                ${caseStudy.city}
+            </label>`).join('');
+
+        picker.addEventListener('change', function(e) {
+            const id = e.target.value;
+            comparisonSelection = e.target.checked
+                ? [...comparisonSelection, id]
+                : comparisonSelection.filter(selected => selected !== id);
+            renderComparison();
+            updateComparisonHash();
+        }, { signal });
+    }
+
+    if (shareButton) {
+        shareButton.addEventListener('click', function() {
+            const url = window.location.href;
+            const done = () => {
+                shareButton.textContent = '✅ Link copied';
+                setTimeout(() => { shareButton.textContent = '🔗 Copy link'; }, 2000);
+            };
+
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url).then(done).catch(() => window.prompt('Copy this link:', url));
+            } else {
+                window.prompt('Copy this link:', url);
+            }
+        }, { signal });
+    }
+
+    showComparisonFromParams(params);
+}
+
+// --- 6. INTERACTIVE BUTTONS FUNCTIONS ---
+
+// Initialize interactive buttons (info panels toggled by .info-button[data-target])
+// signal: listeners are removed when it aborts (section left)
+// root: only the buttons inside this element (a case study section)
+function initializeInteractiveButtons(signal, root = document) {
+    const infoButtons = root.querySelectorAll('.info-button[data-target]');
+    
+    infoButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            const targetId = this.getAttribute('data-target');
+            if (targetId) {
+                const targetContent = document.getElementById(targetId);
+                if (targetContent) {
+                    this.classList.toggle('active');
+                    targetContent.style.display = targetContent.style.display === 'block' ? 'none' : 'block';
                 }
             }
+        }, { signal });
+    });
+}
+
+// --- 7. SOLUTIONS INTERACTIVE FUNCTIONS ---
+
+// Open a solution fullscreen and keep the navbar and URL in sync
+function openSolution(solutionId) {
+    const solutionElement = document.getElementById(solutionId + '-solution');
+    if (!solutionElement) return;
+    
+    // Update navbar active state
+    document.querySelectorAll('.solution-nav-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-solution') === solutionId);
+    });
+    
+    solutionElement.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    
+    // Deep link: #solutions/<solution-id>
+    const hash = buildHash('solutions', [solutionId]);
+    if (window.location.hash !== hash) {
+        history.pushState(null, '', hash);
+    }
+}
+
+// signal: listeners are removed when it aborts (section left)
+function initializeSolutionsNavigation(signal) {
+    // Navbar buttons
+    const navButtons = document.querySelectorAll('.solution-nav-btn');
+    const previewItems = document.querySelectorAll('.preview-item');
+    
+    // Navbar button events
+    navButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            openSolution(this.getAttribute('data-solution'));
+        }, { signal });
+    });
+    
+    // Preview items events
+    previewItems.forEach(item => {
+        item.addEventListener('click', function() {
+            openSolution(this.getAttribute('data-solution'));
+        }, { signal });
+    });
+}
+
+// #solutions/<solution-id> opens that solution, plain #solutions closes it
+function showSolutionFromParams(params) {
+    if (params[0]) {
+        openSolution(params[0]);
+    } else {
+        closeSolution();
+    }
+}
+
+function closeSolution() {
+    const activeSolutions = document.querySelectorAll('.solution-fullscreen.active');
+    activeSolutions.forEach(solution => {
+        solution.classList.remove('active');
+    });
+    document.body.style.overflow = 'auto';
+    
+    // Back to the plain #solutions URL when closed from the solutions section
+    if (currentSectionId === 'solutions' && window.location.hash !== '#solutions') {
+        history.replaceState(null, '', '#solutions');
+    }
+}
+
+// --- 8. TAKE ACTION FORM FUNCTIONS ---
+// Field rules live in js/suggestion-validation.js (shared with the server)
+
+// Spam protection: pause between submissions and no identical suggestion twice
+const SUBMISSION_HISTORY_KEY = 'smart-city-suggestions-sent';
+const SUBMISSION_COOLDOWN_MS = 60 * 1000;
+const SUBMISSION_HISTORY_SIZE = 20;
+
+function readSubmissionHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(SUBMISSION_HISTORY_KEY)) || [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function suggestionFingerprint(suggestion) {
+    return `${suggestion.city}|${suggestion.suggestionDetails}`.toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Message explaining why this submission is blocked, or '' when it may be sent
+function checkRepeatedSubmission(suggestion) {
+    const history = readSubmissionHistory();
+    const last = history[history.length - 1];
+    
+    if (last && Date.now() - last.time < SUBMISSION_COOLDOWN_MS) {
+        const seconds = Math.ceil((SUBMISSION_COOLDOWN_MS - (Date.now() - last.time)) / 1000);
+        return `You just sent a suggestion. Please wait ${seconds} seconds before sending another one.`;
+    }
+    if (history.some(entry => entry.fingerprint === suggestionFingerprint(suggestion))) {
+        return 'You have already sent this suggestion.';
+    }
+    return '';
+}
+
+function recordSubmission(suggestion) {
+    const history = readSubmissionHistory();
+    history.push({ fingerprint: suggestionFingerprint(suggestion), time: Date.now() });
+    
+    try {
+        localStorage.setItem(SUBMISSION_HISTORY_KEY, JSON.stringify(history.slice(-SUBMISSION_HISTORY_SIZE)));
+    } catch (err) {
+        console.warn('Could not save submission history:', err);
+    }
+}
+
+// Draft autosave: what the user typed survives a reload or a closed tab
+const SUGGESTION_DRAFT_KEY = 'smart-city-suggestion-draft';
+
+function saveSuggestionDraft(form) {
+    const draft = {};
+    new FormData(form).forEach((value, field) => {
+        draft[field] = value;
+    });
+    
+    try {
+        localStorage.setItem(SUGGESTION_DRAFT_KEY, JSON.stringify(draft));
+    } catch (err) {
+        console.warn('Could not save the suggestion draft:', err);
+    }
+}
+
+// Fill the form from the saved draft; returns true when one was restored
+function restoreSuggestionDraft(form) {
+    let draft = null;
+    try {
+        draft = JSON.parse(localStorage.getItem(SUGGESTION_DRAFT_KEY));
+    } catch (err) {
+        console.warn('Could not read the suggestion draft:', err);
+    }
+    if (!draft) return false;
+    
+    Object.entries(draft).forEach(([field, value]) => {
+        const input = form.elements[field];
+        if (input && typeof value === 'string') input.value = value;
+    });
+    return true;
+}
+
+function clearSuggestionDraft() {
+    try {
+        localStorage.removeItem(SUGGESTION_DRAFT_KEY);
+    } catch (err) {
+        console.warn('Could not clear the suggestion draft:', err);
+    }
+}
+
+// Offline queue: suggestions that could not reach the server wait in IndexedDB
+// and are sent in order when the connection comes back
+const SUGGESTION_QUEUE_DB = 'smart-city-data';
+const SUGGESTION_QUEUE_STORE = 'pending-suggestions';
+let suggestionQueueFlush = null;
+
+function openSuggestionQueue() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('Offline storage is not available in this browser.'));
+            return;
+        }
+        
+        const request = indexedDB.open(SUGGESTION_QUEUE_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SUGGESTION_QUEUE_STORE, { keyPath: 'queueId', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs one request on the queue store; resolves with its result once the transaction completes
+function withSuggestionQueue(mode, makeRequest) {
+    return openSuggestionQueue().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(SUGGESTION_QUEUE_STORE, mode);
+        const request = makeRequest(transaction.objectStore(SUGGESTION_QUEUE_STORE));
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+// Resolves with the queueId of the stored entry
+function queueSuggestion(suggestion) {
+    return withSuggestionQueue('readwrite', store => store.add({ suggestion, queuedAt: new Date().toISOString() }));
+}
+
+function getQueuedSuggestions() {
+    return withSuggestionQueue('readonly', store => store.getAll());
+}
+
+function removeQueuedSuggestion(queueId) {
+    return withSuggestionQueue('readwrite', store => store.delete(queueId));
+}
+
+// Send everything in the queue, oldest first, stopping at the first failure that may
+// succeed later. Fires 'suggestion:sent' ({ queueId, suggestion }) for each one sent.
+function flushSuggestionQueue() {
+    if (suggestionQueueFlush) return suggestionQueueFlush;
+    
+    const sendEntry = (entry) => submitSuggestion(entry.suggestion)
+        .then(saved => {
+            document.dispatchEvent(new CustomEvent('suggestion:sent', {
+                detail: { queueId: entry.queueId, suggestion: saved }
+            }));
+            return removeQueuedSuggestion(entry.queueId);
+        })
+        .catch(err => {
+            // Rejected by validation or as a duplicate: it will never be accepted, so drop it
+            if (err.status !== 400 && err.status !== 409) throw err;
+            console.warn('Queued suggestion rejected by the server:', err);
+            return removeQueuedSuggestion(entry.queueId);
+        });
+    
+    suggestionQueueFlush = getQueuedSuggestions()
+        .then(entries => entries.reduce((chain, entry) => chain.then(() => sendEntry(entry)), Promise.resolve()))
+        .catch(err => console.warn('Queued suggestions not sent yet:', err))
+        .finally(() => {
+            suggestionQueueFlush = null;
         });
+    return suggestionQueueFlush;
+}
+
+// Confirmation panel for a suggestion that was sent ({ saved }) or queued ({ queueId })
+function showSuggestionConfirmation({ saved, queueId }) {
+    const panel = document.getElementById('confirmationMessage');
+    const title = document.getElementById('confirmation-title');
+    const status = document.getElementById('suggestion-status');
+    const reference = document.getElementById('suggestion-reference');
+    
+    panel.classList.toggle('queued', !saved);
+    panel.dataset.queueId = saved ? '' : queueId;
+    title.textContent = saved ? 'Suggestion Submitted Successfully!' : 'Suggestion Saved Offline';
+    status.textContent = saved ? 'Sent' : 'Queued – it will be sent when you are back online';
+    reference.textContent = saved ? saved.id.slice(0, 8).toUpperCase() : 'Assigned when sent';
+}
+
+// Called once on page load: send anything left from an earlier visit and retry when back online
+function initializeSuggestionQueue() {
+    window.addEventListener('online', flushSuggestionQueue);
+    
+    // A queued suggestion still on screen switches to "sent"
+    document.addEventListener('suggestion:sent', (e) => {
+        const panel = document.getElementById('confirmationMessage');
+        if (panel.dataset.queueId === String(e.detail.queueId)) {
+            showSuggestionConfirmation({ saved: e.detail.suggestion });
+        }
+    });
+    
+    flushSuggestionQueue();
+}
+
+// Location picker: a point (lat/lon) for the "Specific Location" field, from typed
+// coordinates, a click on the California map, the device or a click on the globe
+
+// img/california-map.png as an affine map from image fractions (x, y in 0..1) to lat/lon,
+// fitted to the labeled cities (within about 10 km)
+const CALIFORNIA_MAP_PROJECTION = {
+    lat: [-0.087, -10.001, 42.342],
+    lon: [10.299, 0.367, -124.670]
+};
+
+// Cities labeled on the California map; the urban NO₂ cities are added once loaded
+const CALIFORNIA_MAP_CITIES = [
+    { name: 'Redding', lat: 40.59, lon: -122.39 },
+    { name: 'Sacramento', lat: 38.58, lon: -121.49 },
+    { name: 'Stockton', lat: 37.96, lon: -121.29 },
+    { name: 'Modesto', lat: 37.64, lon: -121.00 },
+    { name: 'San Francisco', lat: 37.77, lon: -122.42 },
+    { name: 'San Jose', lat: 37.34, lon: -121.89 },
+    { name: 'Fresno', lat: 36.74, lon: -119.79 },
+    { name: 'Bakersfield', lat: 35.37, lon: -119.02 },
+    { name: 'Los Angeles', lat: 34.05, lon: -118.24 },
+    { name: 'Palm Springs', lat: 33.83, lon: -116.55 },
+    { name: 'San Diego', lat: 32.72, lon: -117.16 }
+];
+
+// A point farther than this from the named city is reported on the city field
+const LOCATION_CITY_MAX_KM = 100;
+
+let knownCities = CALIFORNIA_MAP_CITIES;
+let knownCitiesLoad = null;
+
+// Point picked on the globe, waiting for the form: set while the user is sent to the globe
+let globeLocationRequested = false;
+let globeLocationPoint = null;
+
+function loadKnownCities() {
+    if (!knownCitiesLoad) {
+        knownCitiesLoad = fetch(URBAN_NO2_URL)
+            .then(r => {
+                if (!r.ok) throw new Error('Failed to load cities: ' + r.status);
+                return r.json();
+            })
+            .then(dataset => {
+                const names = new Set(CALIFORNIA_MAP_CITIES.map(city => city.name));
+                knownCities = CALIFORNIA_MAP_CITIES.concat(dataset.records.filter(record => !names.has(record.name)));
+                return knownCities;
+            })
+            .catch(err => {
+                console.warn('City check limited to California:', err);
+                return knownCities;
+            });
+    }
+    return knownCitiesLoad;
+}
+
+function californiaMapToLatLon(x, y) {
+    const { lat, lon } = CALIFORNIA_MAP_PROJECTION;
+    return {
+        lat: lat[0] * x + lat[1] * y + lat[2],
+        lon: lon[0] * x + lon[1] * y + lon[2]
+    };
+}
+
+// Inverse of californiaMapToLatLon: image fractions, outside 0..1 when off the map
+function latLonToCaliforniaMap(pointLat, pointLon) {
+    const { lat, lon } = CALIFORNIA_MAP_PROJECTION;
+    const det = lat[0] * lon[1] - lat[1] * lon[0];
+    const dLat = pointLat - lat[2];
+    const dLon = pointLon - lon[2];
+    return {
+        x: (dLat * lon[1] - lat[1] * dLon) / det,
+        y: (lat[0] * dLon - dLat * lon[0]) / det
+    };
+}
+
+// Great-circle distance in km
+function distanceKm(a, b) {
+    const toRadians = (deg) => deg * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// "São Paulo, SP" -> "sao paulo"
+function cityKey(name) {
+    return name.split(',')[0].normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function nearestKnownCity(point) {
+    return knownCities
+        .map(city => ({ city, distance: distanceKm(point, city) }))
+        .sort((a, b) => a.distance - b.distance)[0] || null;
+}
+
+// Message when the chosen point is far from the (known) city the user typed, or ''
+function checkLocationCity(suggestion) {
+    if (suggestion.lat === null || suggestion.lon === null) return '';
+    
+    const city = knownCities.find(known => cityKey(known.name) === cityKey(suggestion.city));
+    if (!city) return '';
+    
+    const distance = distanceKm(suggestion, city);
+    return distance > LOCATION_CITY_MAX_KM
+        ? `The chosen location is ${Math.round(distance)} km from ${city.name}. Check the city or the point.`
+        : '';
+}
+
+// "34.05, -118.24" or "34.05 -118.24" -> { lat, lon }; null when not two numbers
+function parseCoordinates(text) {
+    const match = text.match(/^\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*$/);
+    return match ? { lat: Number(match[1]), lon: Number(match[2]) } : null;
+}
+
+// Globe click while a location is requested: keep the point and go back to the form.
+// Returns true when the click was used for the location.
+function receiveGlobeLocation(detail) {
+    if (!globeLocationRequested) return false;
+    
+    globeLocationRequested = false;
+    globeLocationPoint = { lat: detail.lat, lon: detail.lon, source: `the globe (${detail.name})` };
+    showSection('applications');
+    return true;
+}
+
+// onChange runs after the point changes (the hidden lat/lon inputs do not fire events)
+function initializeLocationPicker(form, signal, onChange) {
+    const latInput = form.elements.lat;
+    const lonInput = form.elements.lon;
+    const coordinatesInput = document.getElementById('location-coordinates');
+    const geolocateButton = document.getElementById('location-geolocate');
+    const globeButton = document.getElementById('location-globe');
+    const map = document.getElementById('location-map');
+    const marker = map.querySelector('.location-marker');
+    const picked = document.getElementById('location-picked');
+    const clearButton = document.getElementById('location-clear');
+    const pickedText = picked.querySelector('span');
+    let pointSource = '';
+    
+    function showPicked(message, invalid = false) {
+        pickedText.textContent = message;
+        picked.classList.toggle('invalid', invalid);
+    }
+    
+    // Marker and description of the current point
+    function render() {
+        const point = latInput.value && lonInput.value
+            ? { lat: Number(latInput.value), lon: Number(lonInput.value) }
+            : null;
+        clearButton.hidden = !point;
+        
+        if (!point) {
+            marker.hidden = true;
+            showPicked('No point chosen yet.');
+            return;
+        }
+        
+        const { x, y } = latLonToCaliforniaMap(point.lat, point.lon);
+        marker.hidden = x < 0 || x > 1 || y < 0 || y > 1;
+        marker.style.left = `${(x * 100).toFixed(2)}%`;
+        marker.style.top = `${(y * 100).toFixed(2)}%`;
+        
+        const nearest = nearestKnownCity(point);
+        const near = nearest && nearest.distance <= LOCATION_CITY_MAX_KM
+            ? `, ${Math.round(nearest.distance)} km from ${nearest.city.name}` : '';
+        const from = pointSource ? ` from ${pointSource}` : '';
+        showPicked(`📍 ${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}${from}${near}`);
     }
-}
-
-// 5. Function to restart Medellín chart animations
-function restartMedellinChartAnimations() {
-    const chartBars = document.querySelectorAll('.chart-bar-before, .chart-bar-after');
     
-    chartBars.forEach(bar => {
-        // Remove current animation
-        bar.style.animation = 'none';
+    function setPoint(point, source) {
+        latInput.value = point ? point.lat.toFixed(5) : '';
+        lonInput.value = point ? point.lon.toFixed(5) : '';
+        coordinatesInput.value = '';
+        pointSource = source || '';
+        render();
+        onChange();
+    }
+    
+    // Typed coordinates
+    coordinatesInput.addEventListener('change', () => {
+        const text = coordinatesInput.value.trim();
+        if (!text) return;
         
-        // Force reflow
-        void bar.offsetWidth;
+        const point = parseCoordinates(text);
+        const error = point ? validateCoordinates(point.lat, point.lon) : 'Enter coordinates as "latitude, longitude", e.g. 34.05, -118.24.';
+        if (error) {
+            showPicked(error, true);
+            return;
+        }
+        setPoint(point, 'typed coordinates');
+    }, { signal });
+    
+    // Click on the California map
+    map.addEventListener('click', (e) => {
+        const rect = map.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
         
-        // Reapply animation
-        bar.style.animation = '';
-    });
-}
-
-// --- 6. INTERACTIVE BUTTONS FUNCTIONS ---
-
-// Simple toggle function for interactive buttons
-function toggleInfo(infoId, button) {
-    const infoContent = document.getElementById(infoId);
+        const point = californiaMapToLatLon((e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height);
+        setPoint(point, 'the California map');
+    }, { signal });
+    
+    // Device location, when the browser offers it
+    if (!navigator.geolocation) {
+        geolocateButton.disabled = true;
+        geolocateButton.title = 'Location is not available in this browser';
+    }
+    geolocateButton.addEventListener('click', () => {
+        geolocateButton.disabled = true;
+        showPicked('Getting your location…');
+        
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                geolocateButton.disabled = false;
+                setPoint({ lat: position.coords.latitude, lon: position.coords.longitude }, 'your device');
+            },
+            (err) => {
+                geolocateButton.disabled = false;
+                const reason = err.code === 1 ? 'permission was denied' : 'it is not available right now';
+                showPicked(`Could not use your location (${reason}). Type coordinates or click the map instead.`, true);
+            },
+            { timeout: 10000, maximumAge: 60000 }
+        );
+    }, { signal });
+    
+    // Rough location on the globe (home section); the click brings the user back here
+    globeButton.addEventListener('click', () => {
+        globeLocationRequested = true;
+        showSection('home');
+    }, { signal });
     
-    // Toggle active class on button
-    button.classList.toggle('active');
+    clearButton.addEventListener('click', () => setPoint(null), { signal });
     
-    // Toggle display of content
-    if (infoContent.style.display === 'block') {
-        infoContent.style.display = 'none';
+    // Back from the globe with a point (or without one)
+    globeLocationRequested = false;
+    if (globeLocationPoint) {
+        const { source, ...point } = globeLocationPoint;
+        globeLocationPoint = null;
+        setPoint(point, source);
     } else {
-        infoContent.style.display = 'block';
+        render();
     }
+    
+    return { setPoint, render };
 }
 
-// Initialize interactive buttons (alternative method)
-function initializeInteractiveButtons() {
-    const infoButtons = document.querySelectorAll('.info-button');
-    
-    infoButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const targetId = this.getAttribute('data-target');
-            if (targetId) {
-                const targetContent = document.getElementById(targetId);
-                if (targetContent) {
-                    this.classList.toggle('active');
-                    targetContent.style.display = targetContent.style.display === 'block' ? 'none' : 'block';
-                }
+// Community impact counters: computed by the server from the store,
+// with the last figures kept in localStorage for offline visits
+const COMMUNITY_STATS_URL = 'api/stats';
+const COMMUNITY_STATS_KEY = 'smart-city-community-stats';
+const COMMUNITY_STATS_CITIES = 5;
+const COUNTER_DURATION_MS = 1200;
+
+// Resolves with { stats, live }; live is false for cached figures
+function loadCommunityStats() {
+    return fetch(COMMUNITY_STATS_URL)
+        .then(r => {
+            if (!r.ok) throw new Error('Failed to load community stats: ' + r.status);
+            return r.json();
+        })
+        .then(stats => {
+            try {
+                localStorage.setItem(COMMUNITY_STATS_KEY, JSON.stringify(stats));
+            } catch (err) {
+                console.warn('Could not cache community stats:', err);
             }
+            return { stats, live: true };
+        })
+        .catch(err => {
+            let cached = null;
+            try {
+                cached = JSON.parse(localStorage.getItem(COMMUNITY_STATS_KEY));
+            } catch (cacheErr) {
+                console.warn('Could not read cached community stats:', cacheErr);
+            }
+            if (!cached) throw err;
+            
+            console.warn('Showing cached community stats:', err);
+            return { stats: cached, live: false };
         });
-    });
 }
 
-// --- 7. SOLUTIONS INTERACTIVE FUNCTIONS ---
+// Count up from 0 to value (ease-out); stops when signal aborts
+function animateCounter(element, value, signal) {
+    const start = performance.now();
+    
+    function tick(now) {
+        if (signal.aborted) return;
+        
+        const progress = Math.min((now - start) / COUNTER_DURATION_MS, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        element.textContent = Math.round(value * eased).toLocaleString();
+        if (progress < 1) requestAnimationFrame(tick);
+    }
+    requestAnimationFrame(tick);
+}
 
-function initializeSolutionsNavigation() {
-    // Navbar buttons
-    const navButtons = document.querySelectorAll('.solution-nav-btn');
-    const previewItems = document.querySelectorAll('.preview-item');
+function renderCommunityBreakdowns(stats) {
+    const row = (label, value) => `<li><span>${escapeHTML(label)}</span><strong>${value}</strong></li>`;
     
-    // Function to open solution
-    function openSolution(solutionId) {
-        const solutionElement = document.getElementById(solutionId + '-solution');
-        if (solutionElement) {
-            solutionElement.classList.add('active');
-            document.body.style.overflow = 'hidden';
-        }
+    const types = SUGGESTION_TYPES
+        .filter(type => stats.byType[type])
+        .sort((a, b) => stats.byType[b] - stats.byType[a])
+        .map(type => row(suggestionTypeLabel(type), stats.byType[type]));
+    
+    const cities = stats.byCity.slice(0, COMMUNITY_STATS_CITIES).map(city => row(
+        city.implemented ? `${city.city} (${city.implemented} implemented)` : city.city,
+        city.total
+    ));
+    const otherCities = stats.byCity.length - COMMUNITY_STATS_CITIES;
+    if (otherCities > 0) {
+        cities.push(`<li class="stats-more">and ${otherCities} more ${otherCities === 1 ? 'city' : 'cities'}</li>`);
     }
     
-    // Navbar button events
-    navButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const solutionId = this.getAttribute('data-solution');
+    document.getElementById('stats-by-type').innerHTML = types.join('');
+    document.getElementById('stats-by-city').innerHTML = cities.join('');
+}
+
+// Runs each time #applications is shown, so the counters animate up again
+function initializeCommunityImpact(signal) {
+    const counters = document.querySelectorAll('#community-impact [data-stat]');
+    const note = document.getElementById('stats-note');
+    
+    loadCommunityStats()
+        .then(({ stats, live }) => {
+            if (signal.aborted) return;
             
-            // Remove active class from all buttons
-            navButtons.forEach(btn => btn.classList.remove('active'));
+            const values = { total: stats.total, implemented: stats.implemented, cities: stats.byCity.length };
+            counters.forEach(counter => animateCounter(counter, values[counter.dataset.stat], signal));
+            renderCommunityBreakdowns(stats);
             
-            // Add active class to clicked button
-            this.classList.add('active');
+            if (!stats.total) {
+                note.textContent = 'No suggestions yet: yours can be the first.';
+            } else {
+                note.textContent = live
+                    ? 'Counted from every suggestion submitted on this site.'
+                    : `Offline: figures from ${formatReviewDate(stats.updatedAt)}.`;
+            }
+        })
+        .catch(err => {
+            console.warn('Community stats unavailable:', err);
+            if (signal.aborted) return;
             
-            // Open solution
-            openSolution(solutionId);
+            counters.forEach(counter => {
+                counter.textContent = '–';
+            });
+            note.textContent = 'Counters appear once the suggestions server can be reached.';
+        });
+}
+
+// Impact estimate shown after submitting: the suggestion type selects coefficients cited
+// by the solution panels (data/suggestion-impact.json), applied to the city's baselines
+const SUGGESTION_IMPACT_URL = 'data/suggestion-impact.json';
+let suggestionImpactModel = null;
+
+function loadSuggestionImpactModel() {
+    if (suggestionImpactModel) return Promise.resolve(suggestionImpactModel);
+    
+    return fetch(SUGGESTION_IMPACT_URL)
+        .then(r => {
+            if (!r.ok) throw new Error('Failed to load impact coefficients: ' + r.status);
+            return r.json();
+        })
+        .then(data => {
+            suggestionImpactModel = data;
+            return data;
         });
+}
+
+// Baseline indicators of a city: its case study first, then the urban NO₂ data
+function getCityBaselines(cityName) {
+    const key = cityKey(cityName);
+    const caseStudy = CASE_STUDIES.find(item => cityKey(item.city) === key);
+    const baselines = {};
+    
+    if (caseStudy) {
+        COMPARISON_INDICATORS.forEach(indicator => {
+            const value = indicator.value(caseStudy);
+            if (Number.isFinite(value)) baselines[indicator.id] = value;
+        });
+    }
+    
+    const record = knownCities.find(city => cityKey(city.name) === key);
+    if (baselines.no2 === undefined && record && Number.isFinite(record.value)) {
+        baselines.no2 = record.value;
+    }
+    return baselines;
+}
+
+// Each effect: { label, unit, relative, range: [low, high], baseline, after: [low, high] | null, basis }.
+// relative ranges are fractions (0.45 = -45%), absolute ones are in the indicator's unit.
+function estimateSuggestionImpact(model, suggestion) {
+    const type = model.types[suggestion.suggestionType] || model.types.other;
+    const baselines = getCityBaselines(suggestion.city);
+    
+    const effects = type.effects.map(effect => {
+        const indicator = model.indicators[effect.indicator];
+        const relative = Boolean(effect.relative);
+        const [low, high] = effect.relative || effect.absolute;
+        const baseline = baselines[effect.indicator];
+        
+        let after = null;
+        if (Number.isFinite(baseline)) {
+            after = relative
+                ? [baseline * (1 - high), baseline * (1 - low)]
+                : [baseline - high, baseline - low];
+            after = after.map(value => Math.round(value));
+        }
+        
+        return { label: indicator.label, unit: indicator.unit || '', relative, range: [low, high], baseline, after, basis: effect.basis };
     });
     
-    // Preview items events
-    previewItems.forEach(item => {
-        item.addEventListener('click', function() {
-            const solutionId = this.getAttribute('data-solution');
+    return { effects, note: type.note || '', solution: type.solution, assumptions: model.assumptions };
+}
+
+// "−20% to −45%", "−2 to −3 °C" or "up to −70%"
+function formatImpactChange(effect) {
+    const [low, high] = effect.relative
+        ? effect.range.map(value => `${Math.round(value * 100)}%`)
+        : effect.range.map(value => `${value}`);
+    const unit = effect.relative ? '' : ` ${effect.unit}`;
+    
+    return effect.range[0] ? `−${low} to −${high}${unit}` : `up to −${high}${unit}`;
+}
+
+function renderImpactEstimate(suggestion) {
+    const block = document.getElementById('impact-estimate');
+    const summary = document.getElementById('impact-estimate-summary');
+    const effects = document.getElementById('impact-effects');
+    const assumptions = document.getElementById('impact-assumptions');
+    
+    block.hidden = false;
+    summary.textContent = 'Estimating…';
+    effects.innerHTML = '';
+    assumptions.innerHTML = '';
+    
+    loadSuggestionImpactModel()
+        .then(model => {
+            const estimate = estimateSuggestionImpact(model, suggestion);
+            const hasBaseline = estimate.effects.some(effect => effect.after);
             
-            // Update navbar active state
-            navButtons.forEach(btn => {
-                btn.classList.remove('active');
-                if (btn.getAttribute('data-solution') === solutionId) {
-                    btn.classList.add('active');
-                }
-            });
+            const intro = estimate.effects.length
+                ? `${suggestionTypeLabel(suggestion.suggestionType)} in ${suggestion.city}${hasBaseline ? '' : ' (no baseline data for this city: relative changes only)'}.`
+                : '';
+            summary.innerHTML = [intro, estimate.note].filter(Boolean).map(escapeHTML).join(' ') +
+                (estimate.solution
+                    ? ` <button type="button" class="case-study-link" onclick="showSection('solutions/${estimate.solution}')">See the solution panel</button>`
+                    : '');
+            
+            effects.innerHTML = estimate.effects.map(effect => {
+                const change = formatImpactChange(effect);
+                const value = effect.after
+                    ? `${effect.baseline} ${effect.unit} → ${formatForecastRange(...effect.after)} ${effect.unit} (${change})`
+                    : change;
+                return `
+                    <li>
+                        <span>${escapeHTML(effect.label)}</span>
+                        <strong>${escapeHTML(value)}</strong>
+                        <small>${escapeHTML(effect.basis)}</small>
+                    </li>
+                `;
+            }).join('');
             
-            // Open solution
-            openSolution(solutionId);
+            assumptions.innerHTML = estimate.assumptions.map(text => `<li>${escapeHTML(text)}</li>`).join('');
+        })
+        .catch(err => {
+            console.warn('Impact estimate unavailable:', err);
+            summary.textContent = 'The impact estimate could not be loaded. Reopen this page online to see it.';
         });
-    });
 }
 
-function closeSolution() {
-    const activeSolutions = document.querySelectorAll('.solution-fullscreen.active');
-    activeSolutions.forEach(solution => {
-        solution.classList.remove('active');
+function readSuggestionForm(form) {
+    const formData = new FormData(form);
+    return normalizeSuggestion({
+        name: formData.get('name'),
+        email: formData.get('email'),
+        city: formData.get('city'),
+        suggestionType: formData.get('suggestionType'),
+        suggestionDetails: formData.get('suggestionDetails'),
+        location: formData.get('location'),
+        lat: formData.get('lat'),
+        lon: formData.get('lon')
     });
-    document.body.style.overflow = 'auto';
 }
 
-// --- 8. TAKE ACTION FORM FUNCTIONS ---
-
-function initializeActionForm() {
+// signal: listeners are removed when it aborts (section left)
+function initializeActionForm(signal) {
     const form = document.getElementById('suggestionForm');
     const confirmationMessage = document.getElementById('confirmationMessage');
     const charCount = document.getElementById('charCount');
     const textarea = document.getElementById('suggestion-details');
     const submitButton = form.querySelector('.submit-button');
+    const maxLength = SUGGESTION_LIMITS.suggestionDetails.max;
+    
+    // Errors are only shown for fields the user has already left (or on submit)
+    const touched = new Set();
+    let sending = false;
+    
+    function validateForm() {
+        const suggestion = readSuggestionForm(form);
+        const { errors = {} } = validateSuggestion(suggestion);
+        if (!errors.city && !errors.location) {
+            const mismatch = checkLocationCity(suggestion);
+            if (mismatch) errors.city = mismatch;
+        }
+        
+        const visible = {};
+        touched.forEach(field => {
+            if (errors[field]) visible[field] = errors[field];
+        });
+        
+        showFieldErrors(visible);
+        submitButton.disabled = sending || Object.keys(errors).length > 0;
+        return errors;
+    }
     
-    // Character counter
+    // Character counter (maxlength on the textarea is the hard limit)
     textarea.addEventListener('input', function() {
-        const count = this.value.length;
+        const count = this.value.trim().length;
         charCount.textContent = count;
         
-        if (count > 500) {
+        if (count >= maxLength) {
             charCount.style.color = '#ff3b30';
-        } else if (count > 400) {
+        } else if (count > maxLength - 100) {
             charCount.style.color = '#ff9500';
         } else {
             charCount.style.color = 'var(--color-text-secondary)';
         }
+    }, { signal });
+    
+    // Pick up where the user left off
+    if (restoreSuggestionDraft(form)) {
+        textarea.dispatchEvent(new Event('input'));
+    }
+    
+    // Live validation and draft autosave
+    const onChange = () => {
+        saveSuggestionDraft(form);
+        validateForm();
+    };
+    form.addEventListener('input', onChange, { signal });
+    form.addEventListener('change', onChange, { signal });
+    
+    const locationPicker = initializeLocationPicker(form, signal, () => {
+        touched.add('location');
+        onChange();
+    });
+    
+    // Coefficients for the estimate shown after submitting (kept for offline submissions)
+    loadSuggestionImpactModel().catch(err => console.warn('Impact coefficients not loaded yet:', err));
+    
+    // City names to check the chosen point against
+    loadKnownCities().then(() => {
+        if (signal.aborted) return;
+        locationPicker.render();
+        validateForm();
     });
+    form.addEventListener('focusout', function(e) {
+        if (e.target.name) {
+            touched.add(e.target.name);
+            validateForm();
+        }
+    }, { signal });
     
     // Form submission
     form.addEventListener('submit', function(e) {
         e.preventDefault();
         
+        const suggestion = readSuggestionForm(form);
+        Object.keys(suggestion).forEach(field => touched.add(field));
+        if (Object.keys(validateForm()).length) {
+            showFormStatus('Please correct the highlighted fields.');
+            return;
+        }
+        
+        const repeated = checkRepeatedSubmission(suggestion);
+        if (repeated) {
+            showFormStatus(repeated);
+            return;
+        }
+        
         // Show loading state
+        sending = true;
         submitButton.classList.add('loading');
+        submitButton.disabled = true;
+        showFormStatus('');
         
-        // Simulate NASA data analysis and AI processing
-        setTimeout(() => {
-            // Hide form and show confirmation
-            form.style.display = 'none';
-            confirmationMessage.style.display = 'block';
-            
-            // Reset loading state
-            submitButton.classList.remove('loading');
-            
-            // Log the submission (in real app, this would send to backend)
-            const formData = new FormData(form);
-            console.log('Suggestion submitted:', {
-                name: formData.get('name'),
-                email: formData.get('email'),
-                city: formData.get('city'),
-                type: formData.get('suggestionType'),
-                details: formData.get('suggestionDetails'),
-                location: formData.get('location')
+        submitSuggestion(suggestion)
+            .then(saved => ({ saved }))
+            .catch(err => {
+                // No connection: keep it in the offline queue instead
+                if (!err.offline) throw err;
+                return queueSuggestion(suggestion).then(queueId => ({ queueId }), () => {
+                    throw err;
+                });
+            })
+            .then(result => {
+                recordSubmission(suggestion);
+                if (result.saved) initializeCommunityImpact(signal);
+                
+                // Hide form and show confirmation
+                form.reset();
+                locationPicker.setPoint(null);
+                clearSuggestionDraft();
+                touched.clear();
+                charCount.textContent = 0;
+                form.style.display = 'none';
+                confirmationMessage.style.display = 'block';
+                showSuggestionConfirmation(result);
+                renderImpactEstimate(suggestion);
+            })
+            .catch(err => {
+                console.warn('Suggestion not submitted:', err);
+                showFormStatus(err.message);
+                if (err.fields) showFieldErrors(err.fields);
+            })
+            .finally(() => {
+                // Reset loading state
+                sending = false;
+                submitButton.classList.remove('loading');
+                validateForm();
             });
+    }, { signal });
+    
+    validateForm();
+}
+
+// Suggestions API (server/server.js)
+const SUGGESTIONS_API_URL = 'api/suggestions';
+
+// Resolves with the stored suggestion; rejects with the server's message,
+// err.status and, for validation errors, err.fields keyed by form field name.
+// err.offline is set when the server could not be reached at all.
+function submitSuggestion(suggestion) {
+    return fetch(SUGGESTIONS_API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(suggestion)
+    })
+        .catch(() => {
+            throw Object.assign(new Error('Could not reach the server. Check your connection and try again.'), { offline: true });
+        })
+        .then(r => r.json().catch(() => ({})).then(body => {
+            if (r.ok) return body.suggestion;
             
-        }, 3000); // 3-second simulation of NASA/AI analysis
+            const message = r.status === 400 ? 'Please correct the highlighted fields.'
+                : body.error || `The server could not save your suggestion (${r.status}).`;
+            throw Object.assign(new Error(message), { status: r.status, fields: body.fields });
+        }));
+}
+
+// Error message above the submit button
+function showFormStatus(message) {
+    const status = document.getElementById('form-status');
+    if (status) {
+        status.textContent = message;
+        status.hidden = !message;
+    }
+}
+
+// Inline message under each field in errors (others are cleared).
+// A group with several inputs (location text and lat/lon) shows the first message.
+function showFieldErrors(fields = {}) {
+    document.querySelectorAll('#suggestionForm .form-group').forEach(group => {
+        const inputs = [...group.querySelectorAll('[name]')];
+        if (!inputs.length) return;
+        
+        let error = group.querySelector('.field-error');
+        const fieldMessage = inputs.map(input => fields[input.name]).find(Boolean);
+        group.classList.toggle('has-error', Boolean(fieldMessage));
+        
+        if (fieldMessage && !error) {
+            error = document.createElement('p');
+            error.className = 'field-error';
+            group.appendChild(error);
+        }
+        if (error) {
+            error.textContent = fieldMessage || '';
+            error.hidden = !fieldMessage;
+        }
+    });
+}
+
+// 8.1 Moderator dashboard (#moderation): review the suggestions stored by server/server.js
+
+// Map marker colors per status (see SUGGESTION_STATUSES)
+const MODERATION_STATUS_COLORS = {
+    new: '#007aff',
+    'under-review': '#ff9500',
+    accepted: '#34c759',
+    implemented: '#af52de'
+};
+
+// Sent as "Authorization: Bearer <token>" when the server has MODERATOR_TOKEN set
+const MODERATOR_TOKEN_KEY = 'smart-city-moderator-token';
+
+const WORLD_OUTLINES_URL = 'data/countries.geo.json';
+
+let moderationSuggestions = [];
+let worldOutlines = null;
+let moderationMapPoints = []; // [{ x, y, id }] drawn on the map, for clicks
+
+// User text goes into the dashboard markup
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Label of the form's improvement area option (emoji included)
+function suggestionTypeLabel(type) {
+    const option = [...document.getElementById('suggestion-type').options].find(item => item.value === type);
+    return option ? option.textContent : type;
+}
+
+function formatReviewDate(iso) {
+    return new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Resolves with the JSON body; rejects with the server's message and err.status
+function fetchModeration(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = sessionStorage.getItem(MODERATOR_TOKEN_KEY);
+    if (token) headers.Authorization = `Bearer ${token}`;
+    
+    return fetch(url, { ...options, headers })
+        .catch(() => {
+            throw new Error('Could not reach the suggestions server. Start it with "node server/server.js".');
+        })
+        .then(r => r.json().catch(() => ({})).then(body => {
+            if (r.ok) return body;
+            throw Object.assign(new Error(body.error || `Request failed (${r.status})`), { status: r.status });
+        }));
+}
+
+function loadWorldOutlines() {
+    if (worldOutlines) return Promise.resolve(worldOutlines);
+    
+    return fetch(WORLD_OUTLINES_URL)
+        .then(r => {
+            if (!r.ok) throw new Error('Failed to load country outlines: ' + r.status);
+            return r.json();
+        })
+        .then(geojson => {
+            worldOutlines = geojson.features;
+            return worldOutlines;
+        })
+        .catch(err => {
+            console.warn('Suggestion map drawn without country outlines:', err);
+            return [];
+        });
+}
+
+function showModerationMessage(message) {
+    const status = document.getElementById('moderation-message');
+    status.textContent = message;
+    status.hidden = !message;
+}
+
+function getModerationFilters() {
+    return {
+        city: document.getElementById('moderation-city').value,
+        type: document.getElementById('moderation-type').value,
+        status: document.getElementById('moderation-status').value
+    };
+}
+
+function getFilteredSuggestions() {
+    const { city, type, status } = getModerationFilters();
+    return moderationSuggestions
+        .filter(suggestion => !city || suggestion.city.toLowerCase() === city)
+        .filter(suggestion => !type || suggestion.suggestionType === type)
+        .filter(suggestion => !status || suggestion.status === status);
+}
+
+// Select options, keeping the current choice; cities come from the suggestions themselves
+function renderModerationFilters() {
+    const fill = (id, allLabel, entries) => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>` + entries
+            .map(([value, label]) => `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`)
+            .join('');
+        select.value = entries.some(([value]) => value === selected) ? selected : '';
+    };
+    
+    const cities = new Map();
+    moderationSuggestions.forEach(suggestion => {
+        const key = suggestion.city.toLowerCase();
+        if (!cities.has(key)) cities.set(key, suggestion.city);
+    });
+    
+    fill('moderation-city', 'All cities', [...cities].sort((a, b) => a[1].localeCompare(b[1])));
+    fill('moderation-type', 'All areas', SUGGESTION_TYPES.map(type => [type, suggestionTypeLabel(type)]));
+    fill('moderation-status', 'All statuses', Object.entries(SUGGESTION_STATUSES));
+}
+
+function renderModerationSummary(suggestions) {
+    const counts = Object.keys(SUGGESTION_STATUSES).map(status => {
+        const count = suggestions.filter(suggestion => suggestion.status === status).length;
+        return `<span class="status-badge status-${status}">${SUGGESTION_STATUSES[status]}: ${count}</span>`;
+    });
+    
+    document.getElementById('moderation-summary').innerHTML =
+        `<strong>${suggestions.length} of ${moderationSuggestions.length} suggestions</strong> ${counts.join('')}`;
+}
+
+function renderModerationItem(suggestion) {
+    const statusOptions = Object.entries(SUGGESTION_STATUSES)
+        .map(([value, label]) => `<option value="${value}"${value === suggestion.status ? ' selected' : ''}>${label}</option>`)
+        .join('');
+    const hasPoint = Number.isFinite(suggestion.lat) && Number.isFinite(suggestion.lon);
+    const place = [
+        suggestion.location && escapeHTML(suggestion.location),
+        hasPoint && `${suggestion.lat.toFixed(4)}, ${suggestion.lon.toFixed(4)}`
+    ].filter(Boolean).join(' · ');
+    const notes = (suggestion.notes || [])
+        .map(note => `<li><time datetime="${note.createdAt}">${formatReviewDate(note.createdAt)}</time> ${escapeHTML(note.text)}</li>`)
+        .join('');
+    
+    return `
+        <article class="moderation-item" data-id="${escapeHTML(suggestion.id)}">
+            <header class="moderation-item-header">
+                <strong>${escapeHTML(suggestion.city)}</strong>
+                <span>${escapeHTML(suggestionTypeLabel(suggestion.suggestionType))}</span>
+                <time datetime="${suggestion.createdAt}">${formatReviewDate(suggestion.createdAt)}</time>
+                <span class="status-badge status-${suggestion.status}">${SUGGESTION_STATUSES[suggestion.status] || suggestion.status}</span>
+            </header>
+            <p>${escapeHTML(suggestion.suggestionDetails)}</p>
+            <p class="moderation-meta">${place ? `📍 ${place} · ` : ''}by ${escapeHTML(suggestion.name)}</p>
+            <label class="moderation-review">
+                Status
+                <select data-review="status">${statusOptions}</select>
+            </label>
+            ${notes ? `<ul class="moderation-notes">${notes}</ul>` : ''}
+            <form class="moderation-note-form">
+                <input type="text" name="note" placeholder="Add a note for the planning team" maxlength="${REVIEW_NOTE_MAX}" required>
+                <button type="submit" class="location-action">Add note</button>
+            </form>
+        </article>
+    `;
+}
+
+// Equirectangular map fitted to the located suggestions, colored by status
+function drawModerationMap(suggestions) {
+    const canvas = document.getElementById('moderation-map');
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    
+    const width = canvas.width;
+    const height = canvas.height;
+    const located = suggestions.filter(suggestion => Number.isFinite(suggestion.lat) && Number.isFinite(suggestion.lon));
+    
+    // Bounds around the points (at least 10° across), or the whole world
+    let bounds = { west: -180, east: 180, south: -60, north: 85 };
+    if (located.length) {
+        const lons = located.map(suggestion => suggestion.lon);
+        const lats = located.map(suggestion => suggestion.lat);
+        const pad = Math.max(5, (Math.max(...lons) - Math.min(...lons)) * 0.2, (Math.max(...lats) - Math.min(...lats)) * 0.2);
+        bounds = {
+            west: Math.max(-180, Math.min(...lons) - pad),
+            east: Math.min(180, Math.max(...lons) + pad),
+            south: Math.max(-90, Math.min(...lats) - pad),
+            north: Math.min(90, Math.max(...lats) + pad)
+        };
+    }
+    
+    // Same scale on both axes: widen the narrower side
+    const scale = Math.min(width / (bounds.east - bounds.west), height / (bounds.north - bounds.south));
+    const centerLon = (bounds.west + bounds.east) / 2;
+    const centerLat = (bounds.south + bounds.north) / 2;
+    const project = (lon, lat) => [width / 2 + (lon - centerLon) * scale, height / 2 - (lat - centerLat) * scale];
+    
+    ctx.fillStyle = '#121212';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Country outlines
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 0.5;
+    (worldOutlines || []).forEach(feature => {
+        const { type, coordinates } = feature.geometry || {};
+        const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+        
+        ctx.beginPath();
+        polygons.forEach(polygon => polygon.forEach(ring => {
+            ring.forEach(([lon, lat], i) => {
+                const [x, y] = project(lon, lat);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        }));
+        ctx.fill();
+        ctx.stroke();
+    });
+    
+    // Suggestions
+    moderationMapPoints = located.map(suggestion => {
+        const [x, y] = project(suggestion.lon, suggestion.lat);
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fillStyle = MODERATION_STATUS_COLORS[suggestion.status] || '#ffffff';
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        return { x, y, id: suggestion.id };
+    });
+    
+    const unlocated = suggestions.length - located.length;
+    document.getElementById('moderation-map-note').textContent = unlocated
+        ? `${located.length} on the map; ${unlocated} without a chosen point.`
+        : `${located.length} on the map.`;
+}
+
+function renderModeration() {
+    const suggestions = getFilteredSuggestions();
+    const list = document.getElementById('moderation-list');
+    
+    renderModerationSummary(suggestions);
+    list.innerHTML = suggestions.length
+        ? suggestions.map(renderModerationItem).join('')
+        : '<p class="moderation-empty">No suggestions match these filters.</p>';
+    drawModerationMap(suggestions);
+}
+
+// Send a review change ({ status } or { note }) and redraw with the server's copy
+function reviewSuggestion(id, changes) {
+    showModerationMessage('');
+    
+    return fetchModeration(`${SUGGESTIONS_API_URL}/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    })
+        .then(body => {
+            moderationSuggestions = moderationSuggestions.map(item => (item.id === id ? body.suggestion : item));
+            renderModeration();
+        })
+        .catch(err => {
+            console.warn('Review not saved:', err);
+            document.getElementById('moderation-token').hidden = err.status !== 401;
+            showModerationMessage(err.status === 401 ? 'Enter the moderator token to save reviews.' : err.message);
+            renderModeration();
+        });
+}
+
+// signal: listeners are removed when it aborts (section left)
+function initializeModerationDashboard(params, signal) {
+    const list = document.getElementById('moderation-list');
+    const tokenForm = document.getElementById('moderation-token');
+    const map = document.getElementById('moderation-map');
+    
+    showModerationMessage('');
+    list.innerHTML = '<p class="moderation-empty">Loading suggestions…</p>';
+    
+    document.querySelectorAll('.moderation-filters select').forEach(select => {
+        select.addEventListener('change', renderModeration, { signal });
     });
+    
+    list.addEventListener('change', (e) => {
+        if (e.target.dataset.review !== 'status') return;
+        const item = e.target.closest('.moderation-item');
+        reviewSuggestion(item.dataset.id, { status: e.target.value });
+    }, { signal });
+    
+    list.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const item = e.target.closest('.moderation-item');
+        const note = e.target.elements.note.value.trim();
+        if (note) reviewSuggestion(item.dataset.id, { note });
+    }, { signal });
+    
+    tokenForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sessionStorage.setItem(MODERATOR_TOKEN_KEY, tokenForm.elements.token.value.trim());
+        tokenForm.reset();
+        tokenForm.hidden = true;
+        showModerationMessage('Token saved for this session. Try the change again.');
+    }, { signal });
+    
+    // Click on a marker: bring its suggestion into view
+    map.addEventListener('click', (e) => {
+        const rect = map.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (map.width / rect.width);
+        const y = (e.clientY - rect.top) * (map.height / rect.height);
+        const point = moderationMapPoints.find(candidate => Math.hypot(candidate.x - x, candidate.y - y) <= 8);
+        if (!point) return;
+        
+        const item = [...list.querySelectorAll('.moderation-item')].find(candidate => candidate.dataset.id === point.id);
+        if (item) {
+            item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            item.classList.remove('highlight');
+            void item.offsetWidth;
+            item.classList.add('highlight');
+        }
+    }, { signal });
+    
+    Promise.all([fetchModeration(SUGGESTIONS_API_URL), loadWorldOutlines()])
+        .then(([body]) => {
+            if (signal.aborted) return;
+            moderationSuggestions = body.suggestions;
+            renderModerationFilters();
+            renderModeration();
+        })
+        .catch(err => {
+            console.warn('Could not load suggestions:', err);
+            list.innerHTML = '';
+            showModerationMessage(err.message);
+        });
 }
 
 // --- 9. QUIZ TRANSITION FUNCTION ---
@@ -593,16 +4174,200 @@ function initializeQuizTransition() {
     console.log('Quiz transition initialized');
 }
 
+// --- 9.1 DATA EXPORT (CSV, JSON, PNG) ---
+
+// Export targets, referenced from the markup by <div data-export-menu="..." data-export-formats="csv json png">
+// (replaced by the menu from renderExportMenu) or by menus rendered with it directly.
+// - metadata(): dataset metadata ({ id, title, source }); id and title name the file and citation
+// - name: suffix of the file name (optional)
+// - table: selector of a .comparison-table and/or chart(): the Chart.js instance
+//   (CSV/JSON use the table when there is one, PNG uses the chart)
+const DATA_EXPORTS = {
+    'california-forecast-table': {
+        name: 'table',
+        metadata: () => californiaForecast && californiaForecast.metadata,
+        table: '#california-forecast .forecast-comparison .comparison-table'
+    },
+    'california-forecast-chart': {
+        name: 'chart',
+        metadata: () => californiaForecast && californiaForecast.metadata,
+        chart: () => airQualityChartInstance
+    },
+    'quiz-impact-chart': {
+        name: 'chart',
+        metadata: () => QUIZ_IMPACTS_METADATA,
+        chart: () => metricsChartInstance
+    },
+    // Real values come from the table (the chart is relative), the PNG from the chart
+    'city-comparison': {
+        metadata: () => COMPARISON_METADATA,
+        table: '#comparison-table',
+        chart: () => comparisonChartInstance
+    }
+};
+
+// Rows of a comparison table as { columns, rows } (rows keyed by column)
+function getTableData(selector) {
+    const table = document.querySelector(selector);
+    if (!table) return null;
+
+    const columns = Array.from(table.querySelectorAll('.table-header .table-cell'))
+        .map(cell => cell.textContent.trim());
+    const rows = Array.from(table.querySelectorAll('.table-row')).map(row => {
+        const record = {};
+        row.querySelectorAll(':scope > .table-cell').forEach((cell, i) => {
+            // Indicator cells hold an icon and a label: export only the label
+            const text = cell.querySelector('.indicator-text') || cell;
+            record[columns[i]] = text.textContent.trim().replace(/\s+/g, ' ');
+        });
+        return record;
+    });
+
+    return { columns, rows };
+}
+
+// One row per chart label, one column per dataset
+function getChartData(chart) {
+    if (!chart) return null;
+
+    const { labels, datasets } = chart.data;
+    const columns = ['Category', ...datasets.map(dataset => dataset.label)];
+    const rows = labels.map((label, i) => {
+        const record = { Category: label };
+        datasets.forEach(dataset => {
+            record[dataset.label] = dataset.data[i];
+        });
+        return record;
+    });
+
+    return { columns, rows };
+}
+
+function toCSVValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Title and citation go first as '#' comment lines
+function toCSV(data, metadata) {
+    const lines = [];
+    if (metadata.title) lines.push(`# ${metadata.title}`);
+    if (metadata.source) lines.push(`# Source: ${metadata.source}`);
+    lines.push(data.columns.map(toCSVValue).join(','));
+    data.rows.forEach(row => {
+        lines.push(data.columns.map(column => toCSVValue(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function downloadFile(filename, content, type) {
+    const url = typeof content === 'string' && content.startsWith('data:')
+        ? content
+        : URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    if (!url.startsWith('data:')) {
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// PNG of the chart on the site background, with the citation under it
+// (the Chart.js canvas itself is transparent and uses white text)
+function chartToPNG(chart, metadata) {
+    const source = chart.canvas;
+    const footer = metadata.source ? 36 : 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height + footer;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#121212'; // --color-background-primary
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0);
+
+    if (metadata.source) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(`Source: ${metadata.source}`, 12, source.height + 22, canvas.width - 24);
+    }
+
+    return canvas.toDataURL('image/png');
+}
+
+function exportData(exportId, format) {
+    const target = DATA_EXPORTS[exportId];
+    if (!target) return;
+
+    // Static tables still export when their data file could not be loaded
+    const metadata = target.metadata() || { id: exportId.replace(/-(table|chart)$/, ''), title: document.title };
+    const filename = `${target.name ? `${metadata.id}-${target.name}` : metadata.id}.${format}`;
+    const chart = target.chart ? target.chart() : null;
+    const data = target.table ? getTableData(target.table) : getChartData(chart);
+
+    if (!data) {
+        console.warn('Nothing to export for', exportId);
+        return;
+    }
+
+    if (format === 'csv') {
+        // BOM so spreadsheet apps read NO₂, °C, etc. as UTF-8
+        downloadFile(filename, '\uFEFF' + toCSV(data, metadata), 'text/csv;charset=utf-8');
+    } else if (format === 'json') {
+        const payload = { metadata: { ...metadata, exportedAt: new Date().toISOString() }, columns: data.columns, rows: data.rows };
+        downloadFile(filename, JSON.stringify(payload, null, 2), 'application/json');
+    } else if (format === 'png' && chart) {
+        downloadFile(filename, chartToPNG(chart, metadata), 'image/png');
+    }
+}
+
+// Markup of an export menu, for sections generated from data
+function renderExportMenu(exportId, formats) {
+    return `
+                <details class="export-menu" data-export="${exportId}">
+                    <summary>⬇️ Export</summary>
+                    <div class="export-options">
+                        ${formats.map(format => `<button type="button" data-export-format="${format}">${format.toUpperCase()}</button>`).join('')}
+                    </div>
+                </details>`;
+}
+
+// Menus placed in index.html, then one delegated listener for every export menu on the page
+function initializeExportMenus() {
+    document.querySelectorAll('[data-export-menu]').forEach(slot => {
+        slot.outerHTML = renderExportMenu(slot.dataset.exportMenu, slot.dataset.exportFormats.split(' '));
+    });
+
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('.export-menu [data-export-format]');
+        if (!button) return;
+
+        const menu = button.closest('.export-menu');
+        exportData(menu.dataset.export, button.dataset.exportFormat);
+        menu.open = false;
+    });
+}
+
 // 10. Make functions globally available
 window.showSection = showSection;
+window.showNextSection = showNextSection;
+window.showPreviousSection = showPreviousSection;
 window.handleQuiz = handleQuiz;
-window.toggleInfo = toggleInfo;
+window.restartQuiz = restartQuiz;
 window.initializeInteractiveButtons = initializeInteractiveButtons;
 window.scrollToTop = scrollToTop;
 window.initializeSolutionsNavigation = initializeSolutionsNavigation;
 window.closeSolution = closeSolution;
+window.openSolution = openSolution;
 window.initializeActionForm = initializeActionForm;
 window.initializeQuizTransition = initializeQuizTransition;
+window.initGlobe = initGlobe;
+window.exportData = exportData;
 
 // 11. Start navigation when DOM loads
 document.addEventListener('DOMContentLoaded', initializePage);
\ No newline at end of file
@@ -0,0 +1,150 @@
+// suggestion-validation.js
+// Rules of the "Take Action" suggestion form.
+// Loaded by the page as a plain script and by server/server.js with require(),
+// so the form and the API accept exactly the same input.
+
+const SUGGESTION_TYPES = ['green-corridors', 'mobility', 'green-buildings', 'air-quality', 'waste-management', 'other'];
+
+// Trimmed length limits per field (suggestionDetails max is the hard 500 limit)
+const SUGGESTION_LIMITS = {
+    name: { min: 2, max: 100, label: 'Name' },
+    city: { min: 2, max: 100, label: 'City' },
+    suggestionDetails: { min: 20, max: 500, label: 'Suggestion' },
+    location: { min: 0, max: 200, label: 'Location' }
+};
+
+// Review workflow of the moderator dashboard, in order
+const SUGGESTION_STATUSES = {
+    new: 'New',
+    'under-review': 'Under review',
+    accepted: 'Accepted',
+    implemented: 'Implemented'
+};
+
+const REVIEW_NOTE_MAX = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Trim every field (and lower-case the email) before validating or sending.
+// lat/lon become numbers rounded to 5 decimals (about 1 m), null when empty or NaN when not a number.
+function normalizeSuggestion(input) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const coordinate = (value) => {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.round(number * 1e5) / 1e5 : NaN;
+    };
+    const source = input && typeof input === 'object' ? input : {};
+
+    return {
+        name: text(source.name),
+        email: text(source.email).toLowerCase(),
+        city: text(source.city),
+        suggestionType: text(source.suggestionType),
+        suggestionDetails: text(source.suggestionDetails),
+        location: text(source.location),
+        lat: coordinate(source.lat),
+        lon: coordinate(source.lon)
+    };
+}
+
+// Text that looks automated: long runs of one character or several links
+function isSpamLike(text) {
+    const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+    return /(.)\1{9,}/.test(text) || links > 2;
+}
+
+// Error message for one (normalized) field, or '' when it is valid
+function validateSuggestionField(field, value) {
+    if (field === 'email') {
+        return EMAIL_PATTERN.test(value) && value.length <= 254 ? '' : 'Enter a valid email address.';
+    }
+    if (field === 'suggestionType') {
+        return SUGGESTION_TYPES.includes(value) ? '' : 'Select an improvement area.';
+    }
+
+    const limits = SUGGESTION_LIMITS[field];
+    if (!limits) return '';
+
+    if (value.length < limits.min) {
+        return value ? `${limits.label} must be at least ${limits.min} characters.` : `${limits.label} is required.`;
+    }
+    if (value.length > limits.max) {
+        return `${limits.label} must be at most ${limits.max} characters.`;
+    }
+    if ((field === 'suggestionDetails' || field === 'name') && isSpamLike(value)) {
+        return `${limits.label} looks like spam. Please write it in your own words.`;
+    }
+    return '';
+}
+
+// Error message for a (normalized) lat/lon pair, or '' when valid or both empty
+function validateCoordinates(lat, lon) {
+    if (lat === null && lon === null) return '';
+    if (lat === null || lon === null) return 'Enter both latitude and longitude.';
+    if (!(lat >= -90 && lat <= 90)) return 'Latitude must be a number between -90 and 90.';
+    if (!(lon >= -180 && lon <= 180)) return 'Longitude must be a number between -180 and 180.';
+    return '';
+}
+
+// Returns { suggestion } with normalized fields, or { errors } keyed by field name
+function validateSuggestion(input) {
+    const suggestion = normalizeSuggestion(input);
+    const errors = {};
+
+    Object.keys(suggestion).forEach((field) => {
+        const message = validateSuggestionField(field, suggestion[field]);
+        if (message) errors[field] = message;
+    });
+
+    // The point is shown (and corrected) together with the location text
+    const coordinates = validateCoordinates(suggestion.lat, suggestion.lon);
+    if (coordinates && !errors.location) errors.location = coordinates;
+
+    return Object.keys(errors).length ? { errors } : { suggestion };
+}
+
+// Moderator changes: { status?, note? }. Returns { review } with the trimmed values
+// to apply, or { errors } keyed by field name
+function validateReview(input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const review = {};
+    const errors = {};
+
+    if (source.status !== undefined) {
+        if (Object.keys(SUGGESTION_STATUSES).includes(source.status)) {
+            review.status = source.status;
+        } else {
+            errors.status = `Status must be one of: ${Object.keys(SUGGESTION_STATUSES).join(', ')}.`;
+        }
+    }
+    if (source.note !== undefined) {
+        const note = typeof source.note === 'string' ? source.note.trim() : '';
+        if (!note) {
+            errors.note = 'Note is empty.';
+        } else if (note.length > REVIEW_NOTE_MAX) {
+            errors.note = `Note must be at most ${REVIEW_NOTE_MAX} characters.`;
+        } else {
+            review.note = note;
+        }
+    }
+    if (!Object.keys(review).length && !Object.keys(errors).length) {
+        errors.status = 'Send a status or a note.';
+    }
+
+    return Object.keys(errors).length ? { errors } : { review };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SUGGESTION_TYPES,
+        SUGGESTION_LIMITS,
+        SUGGESTION_STATUSES,
+        normalizeSuggestion,
+        validateSuggestionField,
+        validateSuggestion,
+        validateCoordinates,
+        validateReview,
+        isSpamLike
+    };
+}
@@ -0,0 +1,331 @@
+// server.js
+// Small local server for the site and the "Take Action" suggestions API.
+// Node built-ins only:  node server/server.js  ->  http://localhost:3000
+//
+// Environment:
+// - PORT: port to listen on (3000)
+// - SUGGESTIONS_FILE: JSON file store (server/data/suggestions.json)
+// - MODERATOR_TOKEN: review changes need "Authorization: Bearer <token>"; without it
+//   reviews are disabled (PATCH answers 403), e.g. MODERATOR_TOKEN=secret node server/server.js
+//
+// API:
+// - POST  /api/suggestions       JSON body, validated (lat/lon optional); 201 with the stored suggestion,
+//                                409 when the same email sent the same text in the last 24 hours,
+//                                429 (Retry-After) after 5 suggestions from one address in 10 minutes
+// - GET   /api/suggestions       list for review, newest first (?city=...&type=...&status=...)
+// - GET   /api/suggestions/:id   one suggestion
+// - PATCH /api/suggestions/:id   review: { status?, note? }; notes are appended (moderator token)
+// - GET   /api/stats             community counters: totals by type, implemented, per city
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createJSONStore } = require('./store');
+const { validateSuggestion, validateReview } = require('../js/suggestion-validation');
+
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT = path.resolve(__dirname, '..');
+const STORE_FILE = process.env.SUGGESTIONS_FILE || path.join(__dirname, 'data', 'suggestions.json');
+const MAX_BODY_BYTES = 16 * 1024;
+const MODERATOR_TOKEN = process.env.MODERATOR_TOKEN || '';
+// Every stored suggestion counts on the public counters: limit repeats and floods
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const RATE_LIMIT_POSTS = 5;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+const store = createJSONStore(STORE_FILE);
+
+// Times of the suggestions stored per client address, within RATE_LIMIT_WINDOW_MS
+const recentPosts = new Map();
+// POSTs are checked and stored one at a time, so two identical requests cannot both pass
+let accepting = Promise.resolve();
+
+// --- 1. Helpers ---
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, fields) {
+    sendJSON(res, status, fields ? { error: message, fields } : { error: message });
+}
+
+// Parse a JSON request body, rejecting anything over MAX_BODY_BYTES
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Drain the rest without keeping it, so the 413 response can still be sent
+                req.removeAllListeners('data');
+                req.resume();
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (err) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Email addresses stay in the store and are not listed.
+// Suggestions stored before the review workflow start as 'new' without notes.
+function toPublic(suggestion) {
+    const { email, ...rest } = suggestion;
+    return { status: 'new', notes: [], ...rest };
+}
+
+// decodeURIComponent that gives null for malformed escapes (e.g. %E0) instead of throwing
+function decodeSegment(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return null;
+    }
+}
+
+function isJSONRequest(req) {
+    return /^application\/json\b/.test(req.headers['content-type'] || '');
+}
+
+// Milliseconds until this client may post again, or 0
+function rateLimitWait(client, now) {
+    const times = (recentPosts.get(client) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+    if (times.length) recentPosts.set(client, times);
+    else recentPosts.delete(client);
+
+    return times.length < RATE_LIMIT_POSTS ? 0 : times[0] + RATE_LIMIT_WINDOW_MS - now;
+}
+
+function sendRateLimited(res, wait) {
+    res.setHeader('Retry-After', Math.ceil(wait / 1000));
+    sendError(res, 429, 'Too many suggestions from your network. Please try again later.');
+}
+
+// Same sender and same text, ignoring case and spacing
+function suggestionFingerprint(suggestion) {
+    return `${suggestion.email}|${suggestion.suggestionDetails}`.toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isRecentDuplicate(records, suggestion, now) {
+    const fingerprint = suggestionFingerprint(suggestion);
+    return records.some(record => now - Date.parse(record.createdAt) < DUPLICATE_WINDOW_MS
+        && suggestionFingerprint(record) === fingerprint);
+}
+
+// --- 2. Suggestions API ---
+
+function createSuggestion(req, res) {
+    if (!isJSONRequest(req)) {
+        return sendError(res, 415, 'Content-Type must be application/json');
+    }
+
+    const client = req.socket.remoteAddress;
+    const wait = rateLimitWait(client, Date.now());
+    if (wait) return sendRateLimited(res, wait);
+
+    return readJSONBody(req)
+        .then(body => {
+            const { suggestion, errors } = validateSuggestion(body);
+            if (errors) return sendError(res, 400, 'Validation failed', errors);
+
+            // Queue after the previous POST even if it failed
+            accepting = accepting
+                .catch(() => {})
+                .then(() => store.list())
+                .then(records => {
+                    const now = Date.now();
+                    if (isRecentDuplicate(records, suggestion, now)) {
+                        return sendError(res, 409, 'You have already sent this suggestion.');
+                    }
+                    const wait = rateLimitWait(client, now);
+                    if (wait) return sendRateLimited(res, wait);
+
+                    recentPosts.set(client, [...(recentPosts.get(client) || []), now]);
+                    return store.add({ ...suggestion, status: 'new', notes: [] })
+                        .then(record => sendJSON(res, 201, { suggestion: toPublic(record) }));
+                });
+            return accepting;
+        });
+}
+
+function listSuggestions(req, res, query) {
+    const city = (query.get('city') || '').trim().toLowerCase();
+    const type = (query.get('type') || '').trim();
+    const status = (query.get('status') || '').trim();
+
+    return store.list().then(suggestions => {
+        const results = suggestions
+            .map(toPublic)
+            .filter(suggestion => !city || suggestion.city.toLowerCase() === city)
+            .filter(suggestion => !type || suggestion.suggestionType === type)
+            .filter(suggestion => !status || suggestion.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        sendJSON(res, 200, { suggestions: results, total: results.length });
+    });
+}
+
+function getSuggestion(req, res, id) {
+    return store.get(id).then(suggestion => {
+        if (!suggestion) return sendError(res, 404, 'Suggestion not found');
+        sendJSON(res, 200, { suggestion: toPublic(suggestion) });
+    });
+}
+
+function updateSuggestion(req, res, id) {
+    // Reviews feed the public counters, so they are never open to everyone
+    if (!MODERATOR_TOKEN) {
+        return sendError(res, 403, 'Reviews are disabled: start the server with MODERATOR_TOKEN set.');
+    }
+    if (req.headers.authorization !== `Bearer ${MODERATOR_TOKEN}`) {
+        return sendError(res, 401, 'Moderator token required');
+    }
+    if (!isJSONRequest(req)) {
+        return sendError(res, 415, 'Content-Type must be application/json');
+    }
+
+    return readJSONBody(req)
+        .then(body => {
+            const { review, errors } = validateReview(body);
+            if (errors) return sendError(res, 400, 'Validation failed', errors);
+
+            return store.update(id, record => {
+                const changes = {};
+                if (review.status) changes.status = review.status;
+                if (review.note) {
+                    changes.notes = [...(record.notes || []), { text: review.note, createdAt: new Date().toISOString() }];
+                }
+                return changes;
+            })
+                .then(record => {
+                    if (!record) return sendError(res, 404, 'Suggestion not found');
+                    sendJSON(res, 200, { suggestion: toPublic(record) });
+                });
+        });
+}
+
+// Counters for the "Community Impact" block, computed from every stored suggestion
+function getStats(req, res) {
+    return store.list().then(records => {
+        const suggestions = records.map(toPublic);
+        const byType = {};
+        const byStatus = {};
+        const cities = new Map();
+
+        suggestions.forEach(suggestion => {
+            byType[suggestion.suggestionType] = (byType[suggestion.suggestionType] || 0) + 1;
+            byStatus[suggestion.status] = (byStatus[suggestion.status] || 0) + 1;
+
+            const key = suggestion.city.toLowerCase();
+            const city = cities.get(key) || { city: suggestion.city, total: 0, implemented: 0 };
+            city.total += 1;
+            if (suggestion.status === 'implemented') city.implemented += 1;
+            cities.set(key, city);
+        });
+
+        sendJSON(res, 200, {
+            total: suggestions.length,
+            implemented: byStatus.implemented || 0,
+            byType,
+            byStatus,
+            byCity: [...cities.values()].sort((a, b) => b.total - a.total || a.city.localeCompare(b.city)),
+            updatedAt: new Date().toISOString()
+        });
+    });
+}
+
+function handleAPI(req, res, url) {
+    const [, , resource, rawId] = url.pathname.split('/');
+    const id = rawId && decodeSegment(rawId);
+    if (id === null) return sendError(res, 400, 'Malformed URL');
+
+    if (resource === 'stats' && !id) {
+        if (req.method === 'GET') return getStats(req, res);
+        res.setHeader('Allow', 'GET');
+        return sendError(res, 405, 'Method not allowed');
+    }
+    if (resource !== 'suggestions') return sendError(res, 404, 'Not found');
+
+    if (!id && req.method === 'POST') return createSuggestion(req, res);
+    if (!id && req.method === 'GET') return listSuggestions(req, res, url.searchParams);
+    if (id && req.method === 'GET') return getSuggestion(req, res, id);
+    if (id && req.method === 'PATCH') return updateSuggestion(req, res, id);
+
+    res.setHeader('Allow', id ? 'GET, PATCH' : 'GET, POST');
+    return sendError(res, 405, 'Method not allowed');
+}
+
+// --- 3. Static files (the site itself) ---
+
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendError(res, 405, 'Method not allowed');
+    }
+
+    const pathname = decodeSegment(url.pathname);
+    if (pathname === null) return sendError(res, 400, 'Malformed URL');
+    const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+    // Stay inside the site folder; keep dotfiles (.git), the server code and the store private
+    const hidden = pathname.split('/').some(part => part.startsWith('.'));
+    if (hidden || !file.startsWith(ROOT + path.sep) || file.startsWith(__dirname + path.sep)) {
+        return sendError(res, 404, 'Not found');
+    }
+
+    fs.stat(file, (err, stats) => {
+        if (err || !stats.isFile()) return sendError(res, 404, 'Not found');
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        if (req.method === 'HEAD') return res.end();
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+// --- 4. Server ---
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const handler = url.pathname.startsWith('/api/') ? handleAPI : serveStatic;
+
+    Promise.resolve()
+        .then(() => handler(req, res, url))
+        .catch(err => {
+            if (!err.status) console.error('Request failed:', err);
+            if (!res.headersSent) sendError(res, err.status || 500, err.status ? err.message : 'Internal server error');
+        });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Smart City Data running at http://localhost:${PORT}`);
+        console.log(`Suggestions stored in ${STORE_FILE}`);
+        if (!MODERATOR_TOKEN) console.log('Reviews disabled: set MODERATOR_TOKEN to save reviews from the dashboard');
+    });
+}
+
+module.exports = { server };
@@ -0,0 +1,78 @@
+// store.js
+// Suggestions stored in a single JSON file (no database needed to run locally).
+// Writes go to a temporary file first and are renamed over the store, one at a time.
+// Another backend (e.g. SQLite) only needs the same { list, get, add, update } promises.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createJSONStore(file) {
+    let records = null;
+    let loading = null;
+    let writing = Promise.resolve();
+
+    // Read the file once; a missing file is an empty store.
+    // Concurrent first requests share the same read, so they all get the same array.
+    function load() {
+        loading = loading || fs.promises.readFile(file, 'utf8')
+            .then(text => JSON.parse(text))
+            .catch(err => {
+                if (err.code === 'ENOENT') return [];
+                // Let the next request try again
+                loading = null;
+                throw err;
+            })
+            .then(data => {
+                records = data;
+                return records;
+            });
+        return loading;
+    }
+
+    function save() {
+        const tmp = `${file}.${process.pid}.tmp`;
+        // Queue after the previous write even if it failed, so one error does not block later saves
+        writing = writing
+            .catch(() => {})
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.writeFile(tmp, JSON.stringify(records, null, 2)))
+            .then(() => fs.promises.rename(tmp, file));
+        return writing;
+    }
+
+    function list() {
+        return load().then(data => [...data]);
+    }
+
+    function get(id) {
+        return load().then(data => data.find(record => record.id === id) || null);
+    }
+
+    function add(fields) {
+        return load().then(data => {
+            const record = {
+                id: crypto.randomUUID(),
+                createdAt: new Date().toISOString(),
+                ...fields
+            };
+            data.push(record);
+            return save().then(() => record);
+        });
+    }
+
+    // change(record) returns the fields to merge; resolves with the updated record or null
+    function update(id, change) {
+        return load().then(data => {
+            const record = data.find(item => item.id === id);
+            if (!record) return null;
+
+            Object.assign(record, change(record), { updatedAt: new Date().toISOString() });
+            return save().then(() => record);
+        });
+    }
+
+    return { list, get, add, update };
+}
+
+module.exports = { createJSONStore };
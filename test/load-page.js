@@ -0,0 +1,65 @@
+// load-page.js
+// Loads index.html and the page scripts into jsdom for the DOM tests.
+// Function declarations of the scripts end up on the returned window.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The page's own scripts, in the order of their <script> tags (libraries such as
+// three.js and Chart.js are not loaded)
+function pageScripts(html) {
+    return [...html.matchAll(/<script\b[^>]*\bsrc="(js\/(?!vendor\/)[^"]+\.js)"/g)].map(match => match[1]);
+}
+
+// data/ files are served from disk
+function fetchDataFile(url) {
+    const file = path.join(ROOT, url.split('?')[0]);
+    if (!file.startsWith(path.join(ROOT, 'data') + path.sep) || !fs.existsSync(file)) {
+        return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+    }
+    return Promise.resolve({ ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) });
+}
+
+// Resolves with the window once the page has started (DOMContentLoaded).
+// options.hash: initial location hash, e.g. '#applications'
+// options.fetch(url, init): answers every request outside data/ (default: network error)
+function loadPage(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const { window } = new JSDOM(html, {
+        url: `http://localhost/${options.hash || ''}`,
+        // Inline handlers (onclick="showSection(...)") run too
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+
+    window.scrollTo = () => {};
+    window.Chart = function () {
+        return { destroy() {}, update() {} };
+    };
+    window.fetch = (url, init) => {
+        url = String(url);
+        if (url.startsWith('data/')) return fetchDataFile(url);
+        if (options.fetch) return options.fetch(url, init);
+        return Promise.reject(new TypeError('Failed to fetch'));
+    };
+
+    window.eval(pageScripts(html).map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n'));
+    if (window.document.readyState !== 'loading') {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+        return Promise.resolve(window);
+    }
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => resolve(window));
+    });
+}
+
+// Let pending data loads settle before the document goes away
+function closePage(window) {
+    return new Promise(resolve => setTimeout(resolve, 50)).then(() => window.close());
+}
+
+module.exports = { loadPage, closePage };
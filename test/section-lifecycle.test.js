@@ -0,0 +1,61 @@
+// section-lifecycle.test.js
+// Sections shown again after leaving them must not stack their listeners.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePage } = require('./load-page');
+
+function fillSuggestionForm(window) {
+    const { document } = window;
+    const values = {
+        'user-name': 'Ana Souza',
+        'user-email': 'ana@example.com',
+        'user-city': 'Los Angeles',
+        'suggestion-type': 'green-corridors',
+        'suggestion-details': 'Plant a row of shade trees along the bus corridor on Main Street.'
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+    });
+}
+
+// Every submit handler of the form starts with preventDefault(): count the calls
+function submitForm(window, form) {
+    const event = new window.Event('submit', { cancelable: true });
+    let handlers = 0;
+    const preventDefault = event.preventDefault.bind(event);
+    event.preventDefault = () => {
+        handlers++;
+        preventDefault();
+    };
+    form.dispatchEvent(event);
+    return handlers;
+}
+
+test('the suggestion form submit handler runs once after leaving and coming back', async (t) => {
+    const window = await loadPage();
+    t.after(() => closePage(window));
+
+    window.showSection('applications');
+    window.showSection('home');
+    window.showSection('applications');
+
+    fillSuggestionForm(window);
+    assert.equal(submitForm(window, window.document.getElementById('suggestionForm')), 1);
+});
+
+test('a case study info button toggles once after leaving and coming back', async (t) => {
+    const window = await loadPage();
+    t.after(() => closePage(window));
+
+    window.showSection('california-case');
+    window.showSection('home');
+    window.showSection('california-case');
+
+    const button = window.document.querySelector('#california-case .info-button');
+    assert.ok(button, 'the California case study has info buttons');
+
+    button.click();
+
+    assert.equal(button.classList.contains('active'), true);
+});
@@ -0,0 +1,40 @@
+// store.test.js
+// The JSON file store behind the suggestions API.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJSONStore } = require('../server/store');
+
+function tempStoreFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-city-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'suggestions.json');
+}
+
+test('concurrent first requests share one read and keep every added record', async (t) => {
+    const file = tempStoreFile(t);
+    fs.writeFileSync(file, JSON.stringify([{ id: 'existing', city: 'Lima' }]));
+    const store = createJSONStore(file);
+
+    const [, first, second] = await Promise.all([
+        store.list(),
+        store.add({ city: 'Los Angeles' }),
+        store.add({ city: 'Paris' }),
+        store.list()
+    ]);
+
+    const ids = ['existing', first.id, second.id];
+    assert.deepEqual((await store.list()).map(record => record.id), ids);
+    // Reload from disk with a new store
+    const saved = await createJSONStore(file).list();
+    assert.deepEqual(saved.map(record => record.id), ids);
+});
+
+test('a missing file is an empty store', async (t) => {
+    const store = createJSONStore(tempStoreFile(t));
+    assert.deepEqual(await store.list(), []);
+    assert.equal(await store.get('missing'), null);
+});
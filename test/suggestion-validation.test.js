@@ -0,0 +1,170 @@
+// suggestion-validation.test.js
+// Rules shared by the "Take Action" form and the suggestions API.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeSuggestion,
+    validateSuggestionField,
+    validateSuggestion,
+    validateCoordinates,
+    validateReview,
+    isSpamLike
+} = require('../js/suggestion-validation');
+const { loadPage, closePage } = require('./load-page');
+
+const VALID_SUGGESTION = {
+    name: 'Ana Souza',
+    email: 'ana@example.com',
+    city: 'Los Angeles',
+    suggestionType: 'green-corridors',
+    suggestionDetails: 'Plant a row of shade trees along the bus corridor on Main Street.',
+    location: ''
+};
+
+test('normalizeSuggestion trims fields and lower-cases the email', () => {
+    const suggestion = normalizeSuggestion({
+        name: '  Ana Souza ',
+        email: ' Ana@Example.COM ',
+        city: '\tLos Angeles\n',
+        suggestionType: ' mobility ',
+        suggestionDetails: '  More buses  ',
+        location: ' Main St '
+    });
+
+    assert.equal(suggestion.name, 'Ana Souza');
+    assert.equal(suggestion.email, 'ana@example.com');
+    assert.equal(suggestion.city, 'Los Angeles');
+    assert.equal(suggestion.suggestionType, 'mobility');
+    assert.equal(suggestion.suggestionDetails, 'More buses');
+    assert.equal(suggestion.location, 'Main St');
+});
+
+test('normalizeSuggestion turns non-strings and missing input into empty fields', () => {
+    assert.equal(normalizeSuggestion({ name: 42 }).name, '');
+    assert.deepEqual(normalizeSuggestion(null), {
+        name: '', email: '', city: '', suggestionType: '', suggestionDetails: '', location: '', lat: null, lon: null
+    });
+});
+
+test('normalizeSuggestion coerces lat/lon to numbers rounded to 5 decimals', () => {
+    const suggestion = normalizeSuggestion({ lat: '34.0522349', lon: -118.2436849 });
+    assert.equal(suggestion.lat, 34.05223);
+    assert.equal(suggestion.lon, -118.24368);
+
+    assert.equal(normalizeSuggestion({ lat: '', lon: '  ' }).lat, null);
+    assert.equal(normalizeSuggestion({ lat: undefined }).lat, null);
+    assert.ok(Number.isNaN(normalizeSuggestion({ lat: 'north' }).lat));
+});
+
+test('text fields are required and have a minimum length', () => {
+    assert.equal(validateSuggestionField('name', ''), 'Name is required.');
+    assert.equal(validateSuggestionField('name', 'A'), 'Name must be at least 2 characters.');
+    assert.equal(validateSuggestionField('city', 'L'), 'City must be at least 2 characters.');
+    assert.equal(validateSuggestionField('suggestionDetails', 'Too short'), 'Suggestion must be at least 20 characters.');
+    assert.equal(validateSuggestionField('name', 'Al'), '');
+    assert.equal(validateSuggestionField('location', ''), '');
+});
+
+test('text fields have a maximum length', () => {
+    assert.equal(validateSuggestionField('name', 'Ana '.repeat(26)), 'Name must be at most 100 characters.');
+    assert.equal(validateSuggestionField('city', 'San '.repeat(26)), 'City must be at most 100 characters.');
+    assert.equal(validateSuggestionField('location', 'Main St '.repeat(26)), 'Location must be at most 200 characters.');
+});
+
+test('the suggestion is limited to 500 characters', () => {
+    const words = 'Plant more trees along the avenue. ';
+    const atLimit = words.repeat(15).slice(0, 500);
+    assert.equal(validateSuggestionField('suggestionDetails', atLimit), '');
+    assert.equal(validateSuggestionField('suggestionDetails', atLimit + 'x'), 'Suggestion must be at most 500 characters.');
+});
+
+test('the email must look like an address of at most 254 characters', () => {
+    assert.equal(validateSuggestionField('email', 'ana@example.com'), '');
+    ['', 'ana', 'ana@example', 'ana @example.com', '@example.com'].forEach(email => {
+        assert.equal(validateSuggestionField('email', email), 'Enter a valid email address.', email);
+    });
+    assert.equal(validateSuggestionField('email', `${'a'.repeat(250)}@b.co`), 'Enter a valid email address.');
+});
+
+test('the improvement area must be one of the form options', () => {
+    assert.equal(validateSuggestionField('suggestionType', 'mobility'), '');
+    assert.equal(validateSuggestionField('suggestionType', ''), 'Select an improvement area.');
+    assert.equal(validateSuggestionField('suggestionType', 'parking'), 'Select an improvement area.');
+});
+
+test('isSpamLike flags repeated characters and several links', () => {
+    assert.equal(isSpamLike('Plant more trees on Main Street'), false);
+    assert.equal(isSpamLike('Great idea!!!!!!!!!!'), true);
+    assert.equal(isSpamLike('See https://a.example and http://b.example'), false);
+    assert.equal(isSpamLike('https://a.example http://b.example www.c.example'), true);
+});
+
+test('spam-like names and suggestions are rejected', () => {
+    assert.equal(validateSuggestionField('suggestionDetails', 'Buy now aaaaaaaaaaaaaaaaaaaa'),
+        'Suggestion looks like spam. Please write it in your own words.');
+    assert.equal(validateSuggestionField('name', 'zzzzzzzzzz'), 'Name looks like spam. Please write it in your own words.');
+    // Only the name and the suggestion are checked for spam
+    assert.equal(validateSuggestionField('location', 'Road ----------'), '');
+});
+
+test('validateCoordinates accepts both or neither and checks the ranges', () => {
+    assert.equal(validateCoordinates(null, null), '');
+    assert.equal(validateCoordinates(34.05, -118.24), '');
+    assert.equal(validateCoordinates(-90, 180), '');
+    assert.equal(validateCoordinates(34.05, null), 'Enter both latitude and longitude.');
+    assert.equal(validateCoordinates(null, -118.24), 'Enter both latitude and longitude.');
+    assert.equal(validateCoordinates(91, 0), 'Latitude must be a number between -90 and 90.');
+    assert.equal(validateCoordinates(NaN, 0), 'Latitude must be a number between -90 and 90.');
+    assert.equal(validateCoordinates(0, -180.5), 'Longitude must be a number between -180 and 180.');
+});
+
+test('validateSuggestion returns the normalized suggestion or the errors by field', () => {
+    const { suggestion, errors } = validateSuggestion({ ...VALID_SUGGESTION, email: ' ANA@example.com ', lat: '34.05', lon: '-118.24' });
+    assert.equal(errors, undefined);
+    assert.equal(suggestion.email, 'ana@example.com');
+    assert.equal(suggestion.lat, 34.05);
+
+    const result = validateSuggestion({ ...VALID_SUGGESTION, name: '', suggestionType: 'parking', lat: '95', lon: '0' });
+    assert.equal(result.suggestion, undefined);
+    assert.deepEqual(Object.keys(result.errors).sort(), ['location', 'name', 'suggestionType']);
+    assert.equal(result.errors.location, 'Latitude must be a number between -90 and 90.');
+});
+
+test('validateReview accepts a known status and a trimmed note', () => {
+    assert.deepEqual(validateReview({ status: 'accepted' }), { review: { status: 'accepted' } });
+    assert.deepEqual(validateReview({ note: '  Checked with the city  ' }), { review: { note: 'Checked with the city' } });
+    assert.deepEqual(validateReview({ status: 'implemented', note: 'Done' }), { review: { status: 'implemented', note: 'Done' } });
+});
+
+test('validateReview rejects unknown statuses, empty or long notes and empty reviews', () => {
+    assert.match(validateReview({ status: 'closed' }).errors.status, /^Status must be one of: new, under-review, accepted, implemented\.$/);
+    assert.equal(validateReview({ note: '   ' }).errors.note, 'Note is empty.');
+    assert.equal(validateReview({ note: 5 }).errors.note, 'Note is empty.');
+    assert.equal(validateReview({ note: 'x '.repeat(501) }).errors.note, 'Note must be at most 1000 characters.');
+    assert.equal(validateReview({}).errors.status, 'Send a status or a note.');
+    assert.equal(validateReview(null).errors.status, 'Send a status or a note.');
+});
+
+test('checkRepeatedSubmission enforces the cooldown, then blocks duplicates only', async (t) => {
+    const window = await loadPage();
+    t.after(() => closePage(window));
+
+    const suggestion = normalizeSuggestion(VALID_SUGGESTION);
+    assert.equal(window.checkRepeatedSubmission(suggestion), '');
+
+    window.recordSubmission(suggestion);
+    const other = { ...suggestion, suggestionDetails: 'Add protected bike lanes between the parks and the schools.' };
+    assert.match(window.checkRepeatedSubmission(other), /^You just sent a suggestion\. Please wait 60 seconds/);
+
+    // After the cooldown: the same text (in any case or spacing) is still blocked, another one is not
+    const history = JSON.parse(window.localStorage.getItem('smart-city-suggestions-sent'));
+    history.forEach(entry => {
+        entry.time -= 61 * 1000;
+    });
+    window.localStorage.setItem('smart-city-suggestions-sent', JSON.stringify(history));
+
+    const sameText = { ...suggestion, city: 'LOS ANGELES', suggestionDetails: suggestion.suggestionDetails.replace(/ /g, '  ') };
+    assert.equal(window.checkRepeatedSubmission(sameText), 'You have already sent this suggestion.');
+    assert.equal(window.checkRepeatedSubmission(other), '');
+});
@@ -0,0 +1,71 @@
+// suggestions-api.test.js
+// POST /api/suggestions: repeated suggestions and floods are not stored.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-city-api-'));
+process.env.SUGGESTIONS_FILE = path.join(dir, 'suggestions.json');
+const { server } = require('../server/server');
+
+const SUGGESTION = {
+    name: 'Ana Souza',
+    email: 'ana@example.com',
+    city: 'Los Angeles',
+    suggestionType: 'green-corridors',
+    suggestionDetails: 'Plant a row of shade trees along the bus corridor on Main Street.'
+};
+
+let baseURL;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => {
+    server.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+    });
+}));
+
+function postSuggestion(fields) {
+    return fetch(`${baseURL}/api/suggestions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...SUGGESTION, ...fields })
+    });
+}
+
+test('the same email and text are rejected, even sent concurrently', async () => {
+    const responses = await Promise.all([
+        postSuggestion(),
+        postSuggestion({ email: 'ANA@example.com', suggestionDetails: `  ${SUGGESTION.suggestionDetails.toUpperCase()} ` })
+    ]);
+    assert.deepEqual(responses.map(r => r.status).sort(), [201, 409]);
+
+    // Another sender may send the same text
+    assert.equal((await postSuggestion({ email: 'bruno@example.com' })).status, 201);
+
+    const stats = await (await fetch(`${baseURL}/api/stats`)).json();
+    assert.equal(stats.total, 2);
+});
+
+test('a client over the rate limit gets 429 with Retry-After', async () => {
+    // Two suggestions were stored from this address by the previous test
+    for (let i = 0; i < 3; i++) {
+        const r = await postSuggestion({ suggestionDetails: `Add a protected bike lane on street number ${i + 1}.` });
+        assert.equal(r.status, 201);
+    }
+
+    const r = await postSuggestion({ suggestionDetails: 'Add more drinking fountains in the parks.' });
+    assert.equal(r.status, 429);
+    assert.ok(Number(r.headers.get('retry-after')) > 0);
+    assert.match((await r.json()).error, /^Too many suggestions/);
+});